@@ -0,0 +1,98 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// Flash backups, kept in IndexedDB so they survive the page being closed.
+//
+// Each backup is keyed by the serial of the board it was read from and the
+// time it was taken, so one board's backups list together, in order, and a
+// backup can only be mistaken for another board's if the serials collide.
+// Boards reporting no serial are stored under 'unknown'.
+//
+// Only the newest MAX_BACKUPS_PER_BOARD of each board's backups are kept:
+// saving another drops the oldest.
+
+const DB_NAME = 'onerom-programmer';
+const DB_VERSION = 1;
+const STORE = 'backups';
+const MAX_BACKUPS_PER_BOARD = 5;
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: ['serial', 'timestamp'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // A failed open is not cached, so a later call can try again
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Run a single request against the store, resolving with its result once the
+// transaction has committed.
+async function withStore(mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = makeRequest(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Store a backup. data is the flash contents from the flash base; the other
+// fields describe where it came from. Returns the stored record.
+export async function saveBackup({ serial, model, mcu, hwRev, version, data }) {
+    const record = {
+        serial: serial || 'unknown',
+        timestamp: Date.now(),
+        model: model || null,
+        mcu: mcu || null,
+        hwRev: hwRev || null,
+        version: version || null,
+        data: data
+    };
+    await withStore('readwrite', store => store.add(record));
+    await pruneBackups(record.serial);
+    return record;
+}
+
+// Delete a board's oldest backups, beyond the newest MAX_BACKUPS_PER_BOARD.
+// Keys order by serial then timestamp, so the board's come oldest first.
+async function pruneBackups(serial) {
+    const range = IDBKeyRange.bound([serial, -Infinity], [serial, Infinity]);
+    const keys = await withStore('readonly', store => store.getAllKeys(range));
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_BACKUPS_PER_BOARD))) {
+        await withStore('readwrite', store => store.delete(key));
+    }
+}
+
+// Every backup, newest first.
+export async function listBackups() {
+    const records = await withStore('readonly', store => store.getAll());
+    return records.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export async function getBackup(serial, timestamp) {
+    return withStore('readonly', store => store.get([serial, timestamp]));
+}
+
+export async function deleteBackup(serial, timestamp) {
+    await withStore('readwrite', store => store.delete([serial, timestamp]));
+}
+
+// File name to download a backup as, e.g.
+// onerom-backup-E6614C311B4C7A2F-2026-10-19T14-03-22.bin
+export function backupFileName(record) {
+    const when = new Date(record.timestamp).toISOString().slice(0, 19).replace(/:/g, '-');
+    return `onerom-backup-${record.serial}-${when}.bin`;
+}
@@ -0,0 +1,443 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// Firmware arrives in whatever format the tooling that built it produces, but
+// everything downstream - validateFirmware, the board check, programming -
+// works on a flat image: the bytes to put in flash, starting at the flash base.
+// This turns the other formats into one.
+//
+// Raw binaries are flat images already. UF2 (Fire tooling), Intel HEX and ELF
+// (builds from source) and DfuSe .dfu (ST tooling) instead carry data for
+// addresses. That is gathered into segments, which are laid out from the base
+// of whichever flash they are for - Ice's STM32 or Fire's RP2350. Data outside
+// that flash is refused, as is a file that does not start at its base: the
+// image is programmed from the base, so one that leaves the start to something
+// else - an application built to sit behind a bootloader, say - would erase
+// it. Gaps between segments are left erased (0xFF) and reported, so the user
+// can be told.
+//
+// Each converter throws, saying what is wrong with the file, rather than
+// passing on an image that would only fail validation with a vaguer message.
+
+export const STM32_FLASH_BASE = 0x08000000;
+export const RP2350_FLASH_BASE = 0x10000000;
+
+// The flash each MCU maps: no Ice's STM32F4 has more than 1MB, and the RP2350
+// has chip select 0's 16MB XIP window
+const FLASH_WINDOWS = [
+    { name: 'One ROM Ice (STM32) flash', base: STM32_FLASH_BASE, size: 1024 * 1024 },
+    { name: 'One ROM Fire (RP2350) flash', base: RP2350_FLASH_BASE, size: 16 * 1024 * 1024 }
+];
+
+let crcTable = null;
+
+// The standard CRC-32 - the DfuSe file suffix holds it inverted
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// UF2 - https://github.com/microsoft/uf2. 512-byte blocks, each carrying up to
+// 476 bytes for a target address:
+//   0x000  magic 0x0A324655        0x014  block number
+//   0x004  magic 0x9E5D5157        0x018  number of blocks
+//   0x008  flags                   0x01C  family ID (if flagged)
+//   0x00C  target address          0x020  payload
+//   0x010  payload size            0x1FC  magic 0x0AB16F30
+const UF2_BLOCK_SIZE = 512;
+const UF2_MAGIC_START0 = 0x0A324655;
+const UF2_MAGIC_START1 = 0x9E5D5157;
+const UF2_MAGIC_END = 0x0AB16F30;
+const UF2_PAYLOAD_OFFSET = 32;
+const UF2_MAX_PAYLOAD = 476;
+const UF2_FLAG_NOT_MAIN_FLASH = 0x00000001;
+const UF2_FLAG_FAMILY_ID = 0x00002000;
+
+// The family IDs a Fire's RP2350 takes, as picotool produces them. Absolute
+// blocks go wherever their address says, whatever the chip.
+const UF2_FAMILY_ABSOLUTE = 0xE48BFF57;
+const RP2350_UF2_FAMILIES = {
+    [UF2_FAMILY_ABSOLUTE]: 'absolute',
+    0xE48BFF59: 'RP2350 ARM Secure',
+    0xE48BFF5A: 'RP2350 RISC-V',
+    0xE48BFF5B: 'RP2350 ARM Non-secure'
+};
+
+// Where picotool puts its RP2350-E10 workaround block - see uf2Segments()
+const RP2350_E10_BLOCK_ADDRESS = 0x10FFFF00;
+
+// ELF: 32-bit little-endian only, which is what both MCUs' toolchains emit.
+// Program headers are what a loader goes by, so they are what is read: each
+// PT_LOAD segment's file bytes go to its physical (load) address - for
+// initialised data, where its initial values sit in flash, not its RAM address.
+const ELF_PT_LOAD = 1;
+
+// DfuSe (ST UM0391): an 11-byte prefix, then targets - each a 274-byte header
+// followed by elements, each an address and size followed by data - then the
+// standard 16-byte DFU suffix, ending in a CRC of everything before it.
+const DFUSE_PREFIX_SIZE = 11;
+const DFUSE_TARGET_HEADER_SIZE = 274;
+const DFU_SUFFIX_SIZE = 16;
+
+function hex(value) {
+    return '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+}
+
+function hasText(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Which format a file is in, from its contents: 'uf2', 'elf', 'dfu', 'hex' or,
+// failing all of those, 'bin'
+export function detectFormat(fileArr) {
+    const bytes = new Uint8Array(fileArr);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length >= UF2_BLOCK_SIZE &&
+        view.getUint32(0, true) === UF2_MAGIC_START0 &&
+        view.getUint32(4, true) === UF2_MAGIC_START1) {
+        return 'uf2';
+    }
+    if (hasText(bytes, 0, '\x7FELF')) {
+        return 'elf';
+    }
+    if (bytes.length >= DFUSE_PREFIX_SIZE + DFU_SUFFIX_SIZE && hasText(bytes, 0, 'DfuSe') &&
+        hasText(bytes, bytes.length - DFU_SUFFIX_SIZE + 8, 'UFD')) {
+        return 'dfu';
+    }
+
+    // Intel HEX is text, its first record a colon then hex digits. A binary
+    // starts with a vector table, whose first word - the initial stack
+    // pointer, in RAM - never looks like that.
+    let start = hasText(bytes, 0, '\xEF\xBB\xBF') ? 3 : 0;
+    while (start < bytes.length && /\s/.test(String.fromCharCode(bytes[start]))) {
+        start++;
+    }
+    if (bytes[start] === 0x3A && /[0-9A-Fa-f]/.test(String.fromCharCode(bytes[start + 1]))) {
+        return 'hex';
+    }
+    return 'bin';
+}
+
+// Turn a file in any supported format into a flat image.
+//
+// Returns { image, format, base, gaps }: image an ArrayBuffer to be written
+// from base, format as from detectFormat, and gaps the { start, end } address
+// ranges the file left erased between its first and last data. A raw binary
+// is passed through as it is, with a null base - it says nothing about where
+// it goes.
+export function toFlatImage(fileArr) {
+    const format = detectFormat(fileArr);
+    const bytes = new Uint8Array(fileArr);
+
+    switch (format) {
+        case 'uf2':
+            return { format, ...assemble(uf2Segments(bytes), 'UF2') };
+        case 'elf':
+            return { format, ...assemble(elfSegments(bytes), 'ELF') };
+        case 'dfu':
+            return { format, ...assemble(dfuseSegments(bytes), 'DfuSe') };
+        case 'hex':
+            return { format, ...assemble(hexSegments(bytes), 'Intel HEX') };
+        default:
+            return { format, image: fileArr, base: null, gaps: [] };
+    }
+}
+
+// Lay segments - { address, data, from }, where from says which part of the
+// file it is, for error messages - out as one image from the base of the flash
+// the lowest is in. Overlapping segments are allowed only where they agree.
+// The first segment must be at the flash base, where the image's vector table
+// goes.
+function assemble(segments, formatName) {
+    segments = segments.filter(segment => segment.data.length > 0)
+                       .sort((a, b) => a.address - b.address);
+    if (segments.length === 0) {
+        throw new Error(`${formatName} file has no data to program`);
+    }
+
+    const window = FLASH_WINDOWS.find(w => segments[0].address >= w.base &&
+                                           segments[0].address < w.base + w.size);
+    for (const segment of segments) {
+        const end = segment.address + segment.data.length;
+        if (!window || end > window.base + window.size) {
+            throw new Error(`${formatName} file has data for ${hex(segment.address)}-${hex(end - 1)} ` +
+                            `(${segment.from}), outside ` +
+                            (window ? `the ${window.name}` : 'One ROM\'s flash'));
+        }
+    }
+
+    if (segments[0].address !== window.base) {
+        throw new Error(`${formatName} file starts at ${hex(segments[0].address)} ` +
+                        `(${segments[0].from}), not at the start of the ${window.name} ` +
+                        `(${hex(window.base)}). One ROM firmware is programmed from there, ` +
+                        'so programming this file would erase whatever is before it');
+    }
+
+    const last = segments[segments.length - 1];
+    const image = new Uint8Array(last.address + last.data.length - window.base).fill(0xFF);
+    const gaps = [];
+    let covered = window.base;
+    for (const segment of segments) {
+        const offset = segment.address - window.base;
+        const overlap = Math.min(covered - segment.address, segment.data.length);
+        for (let i = 0; i < overlap; i++) {
+            if (image[offset + i] !== segment.data[i]) {
+                throw new Error(`${formatName} file has conflicting data for ` +
+                                `${hex(segment.address + i)} (${segment.from})`);
+            }
+        }
+        if (segment.address > covered) {
+            gaps.push({ start: covered, end: segment.address });
+        }
+
+        image.set(segment.data, offset);
+        covered = Math.max(covered, segment.address + segment.data.length);
+    }
+
+    return { image: image.buffer, base: window.base, gaps };
+}
+
+// UF2, for a Fire. Blocks flagged as not for main flash are skipped, as the
+// RP2350 bootrom does; every other block must be for an RP2350 family, and
+// every block the file says it has must be there.
+//
+// So is the block picotool adds to work around RP2350 erratum E10: 0xEF
+// bytes at the top of the 16MB window, for the absolute family and numbered
+// apart from the rest of the file. It is no part of the image, and laid out
+// with it would stretch the image to 16MB.
+function uf2Segments(bytes) {
+    if (bytes.length % UF2_BLOCK_SIZE !== 0) {
+        throw new Error('UF2 file is not a whole number of 512-byte blocks');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segments = [];
+    const seen = new Set();
+    let numBlocks = null;
+
+    for (let offset = 0; offset < bytes.length; offset += UF2_BLOCK_SIZE) {
+        const index = offset / UF2_BLOCK_SIZE;
+        if (view.getUint32(offset, true) !== UF2_MAGIC_START0 ||
+            view.getUint32(offset + 4, true) !== UF2_MAGIC_START1 ||
+            view.getUint32(offset + UF2_BLOCK_SIZE - 4, true) !== UF2_MAGIC_END) {
+            throw new Error(`UF2 block ${index} is corrupt (bad magic number)`);
+        }
+
+        const flags = view.getUint32(offset + 8, true);
+        const familyId = view.getUint32(offset + 28, true);
+        const address = view.getUint32(offset + 12, true);
+        // picotool's E10 block, before it is counted with the rest
+        if ((flags & UF2_FLAG_FAMILY_ID) && familyId === UF2_FAMILY_ABSOLUTE &&
+            address === RP2350_E10_BLOCK_ADDRESS) {
+            continue;
+        }
+
+        // Numbered across the whole file, skipped blocks included
+        const total = view.getUint32(offset + 24, true);
+        if (numBlocks === null) {
+            numBlocks = total;
+        } else if (total !== numBlocks) {
+            throw new Error(`UF2 block ${index} disagrees about how many blocks the file has`);
+        }
+        seen.add(view.getUint32(offset + 20, true));
+
+        if (flags & UF2_FLAG_NOT_MAIN_FLASH) {
+            continue;
+        }
+
+        if (!(flags & UF2_FLAG_FAMILY_ID) || !(familyId in RP2350_UF2_FAMILIES)) {
+            throw new Error(`UF2 block ${index} is not for an RP2350` +
+                            ((flags & UF2_FLAG_FAMILY_ID) ? ` (family ID ${hex(familyId)})` : ''));
+        }
+
+        const size = view.getUint32(offset + 16, true);
+        if (size > UF2_MAX_PAYLOAD) {
+            throw new Error(`UF2 block ${index} is corrupt (payload of ${size} bytes)`);
+        }
+        // Only the RP2350's flash will do, even for absolute blocks
+        if (address < RP2350_FLASH_BASE) {
+            throw new Error(`UF2 block ${index} is for ${hex(address)}, outside the RP2350's flash`);
+        }
+
+        segments.push({
+            address,
+            data: bytes.subarray(offset + UF2_PAYLOAD_OFFSET, offset + UF2_PAYLOAD_OFFSET + size),
+            from: `block ${index}`
+        });
+    }
+
+    for (let n = 0; n < numBlocks; n++) {
+        if (!seen.has(n)) {
+            throw new Error(`UF2 file is incomplete (block ${n} of ${numBlocks} is missing)`);
+        }
+    }
+
+    return segments;
+}
+
+function elfSegments(bytes) {
+    if (bytes.length < 0x34 || bytes[4] !== 1 || bytes[5] !== 1) {
+        throw new Error('ELF file is not 32-bit little-endian, so is not for One ROM');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const phoff = view.getUint32(0x1C, true);
+    const phentsize = view.getUint16(0x2A, true);
+    const phnum = view.getUint16(0x2C, true);
+    if (phnum === 0 || phoff + phnum * phentsize > bytes.length) {
+        throw new Error('ELF file has no program headers, or they are truncated');
+    }
+
+    const segments = [];
+    for (let i = 0; i < phnum; i++) {
+        const header = phoff + i * phentsize;
+        if (view.getUint32(header, true) !== ELF_PT_LOAD) {
+            continue;
+        }
+
+        // Only the bytes in the file: the rest of memsz is .bss, zeroed at boot
+        const offset = view.getUint32(header + 4, true);
+        const size = view.getUint32(header + 16, true);
+        if (offset + size > bytes.length) {
+            throw new Error(`ELF file is truncated (segment ${i} runs past its end)`);
+        }
+        segments.push({
+            address: view.getUint32(header + 12, true),
+            data: bytes.subarray(offset, offset + size),
+            from: `segment ${i}`
+        });
+    }
+    return segments;
+}
+
+function dfuseSegments(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The suffix's CRC is the standard CRC-32 without its final inversion
+    const crcOffset = bytes.length - 4;
+    if (view.getUint32(crcOffset, true) !== (~crc32(bytes.subarray(0, crcOffset))) >>> 0) {
+        throw new Error('DfuSe file is corrupt (CRC mismatch)');
+    }
+
+    const end = bytes.length - DFU_SUFFIX_SIZE;
+    const targets = bytes[10];
+    const segments = [];
+    let offset = DFUSE_PREFIX_SIZE;
+    for (let t = 0; t < targets; t++) {
+        if (offset + DFUSE_TARGET_HEADER_SIZE > end || !hasText(bytes, offset, 'Target')) {
+            throw new Error(`DfuSe file is corrupt (target ${t} is missing or malformed)`);
+        }
+        const alternate = bytes[offset + 6];
+        const elements = view.getUint32(offset + 270, true);
+        offset += DFUSE_TARGET_HEADER_SIZE;
+
+        for (let e = 0; e < elements; e++) {
+            const size = offset + 8 <= end ? view.getUint32(offset + 4, true) : null;
+            if (size === null || offset + 8 + size > end) {
+                throw new Error(`DfuSe file is truncated (target ${t}, element ${e})`);
+            }
+            segments.push({
+                address: view.getUint32(offset, true),
+                data: bytes.subarray(offset + 8, offset + 8 + size),
+                from: `target ${t}, alternate setting ${alternate}, element ${e}`
+            });
+            offset += 8 + size;
+        }
+    }
+    return segments;
+}
+
+function hexSegments(bytes) {
+    const lines = new TextDecoder().decode(bytes).split(/\r?\n/);
+    const runs = [];
+    let base = 0;
+    let run = null;
+    let ended = false;
+
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (line === '') continue;
+        if (ended) {
+            throw new Error(`Intel HEX file has records after its end-of-file record (line ${n + 1})`);
+        }
+        if (!/^:([0-9A-Fa-f]{2}){5,}$/.test(line)) {
+            throw new Error(`Intel HEX file is malformed at line ${n + 1}`);
+        }
+
+        const record = new Uint8Array((line.length - 1) / 2);
+        for (let i = 0; i < record.length; i++) {
+            record[i] = parseInt(line.substr(1 + i * 2, 2), 16);
+        }
+        if (record.length !== record[0] + 5) {
+            throw new Error(`Intel HEX file is malformed at line ${n + 1} (wrong record length)`);
+        }
+        if (record.reduce((sum, byte) => sum + byte, 0) & 0xFF) {
+            throw new Error(`Intel HEX file is corrupt at line ${n + 1} (checksum mismatch)`);
+        }
+
+        const data = record.subarray(4, 4 + record[0]);
+        switch (record[3]) {
+            case 0x00: {
+                // Data. Contiguous records join one run, so the thousands of
+                // records in a typical file assemble as a handful of segments.
+                const address = (base + ((record[1] << 8) | record[2])) >>> 0;
+                if (!run || run.address + run.length !== address) {
+                    run = { address, chunks: [], length: 0, line: n + 1 };
+                    runs.push(run);
+                }
+                run.chunks.push(data);
+                run.length += data.length;
+                break;
+            }
+            case 0x01:
+                ended = true;
+                break;
+            case 0x02:
+                base = ((data[0] << 8) | data[1]) << 4;
+                break;
+            case 0x04:
+                base = (((data[0] << 8) | data[1]) << 16) >>> 0;
+                break;
+            case 0x03:
+            case 0x05:
+                // Where execution starts - nothing to program
+                break;
+            default:
+                throw new Error(`Intel HEX file has unknown record type ${record[3]} at line ${n + 1}`);
+        }
+    }
+    if (!ended) {
+        throw new Error('Intel HEX file is truncated (no end-of-file record)');
+    }
+
+    return runs.map(run => {
+        const data = new Uint8Array(run.length);
+        let at = 0;
+        for (const chunk of run.chunks) {
+            data.set(chunk, at);
+            at += chunk.length;
+        }
+        return { address: run.address, data, from: `starting line ${run.line}` };
+    });
+}
@@ -109,11 +109,12 @@
 //    confirmed; hasCurrentBuild() logs which field moved, so the console will
 //    say 'systemPlugin' if this is what has happened.
 //
-// 6. A One ROM's identity is only knowable from the firmware already on it.
-//    There is no hardware identifier to interrogate, so the pre-programming
-//    board check (confirmBoardBeforeProgramming) compares what the board's
-//    CURRENT firmware claims against what the image being flashed is for. Three
-//    consequences follow, and they shape the whole design:
+// 6. A One ROM made before board identity went into OTP is only identifiable
+//    from the firmware already on it. There is no other hardware identifier to
+//    interrogate, so for such a board the pre-programming board check
+//    (confirmBoardBeforeProgramming) compares what the board's CURRENT firmware
+//    claims against what the image being flashed is for. Three consequences
+//    follow, and they shape the whole design:
 //
 //    - A board that has already been mis-flashed claims to be whatever was
 //      wrongly put on it. The check therefore fires on exactly the case where
@@ -127,10 +128,12 @@
 //      dropdowns, so the check works identically on all four tabs - including
 //      URL and Local, which only ever knew the MCU.
 //
-//    Writing board identity to the RP2350's OTP is planned. That supersedes all
-//    of this: the board would then answer for itself, the blank-board silkscreen
-//    prompt would apply only to pre-OTP boards, and a mis-flashed board would no
-//    longer be able to lie. Do not invest further here in the meantime.
+//    A Fire whose board identity has been written to the RP2350's OTP at
+//    manufacture (UnifiedProgrammer.writeBoardIdentity) answers for itself, and
+//    the check prefers that: OTP cannot be changed by flashing, so the board
+//    cannot be lying, and a mismatch is refused rather than warned about. All of
+//    the above now applies only to Ice, and to Fires made before OTP identity -
+//    which is every Fire whose OTP is blank, or cannot be read.
 //
 // 7. On Fire, the USB PID *is* the run state: f540 stopped, f542 running. Any
 //    lookup that pins the PID a device was last seen with therefore cannot find
@@ -146,9 +149,17 @@
 //    mode's PID has been authorised before, which matters because after a flash
 //    there is no user activation left and a picker may not be permitted to
 //    appear at all.
+//
+//    With several One ROMs attached, "any One ROM" is not good enough: the
+//    lookup is pinned to the target's USB serial (UnifiedProgrammer.targetSerial,
+//    set by the picker or the device list), which survives the PID change. Only
+//    a device reporting no serial falls back to the first One ROM found.
 // =============================================================================
 
 import { compareChips } from '/js/site/utils.js'
+import { saveBackup, listBackups, deleteBackup, backupFileName } from '/js/prog/backupStore.js'
+import { findRttControlBlock, RttReader } from '/js/prog/rttLog.js'
+import { toFlatImage, STM32_FLASH_BASE, RP2350_FLASH_BASE } from '/js/prog/firmwareFormats.js'
 
 const ONEROM_WASM_URL = 'https://wasm.onerom.org/releases/v0.4.1/pkg/onerom_wasm.js';
 //const ONEROM_WASM_URL = 'http://localhost:8000/pkg/onerom_wasm.js';
@@ -174,6 +185,27 @@ let wasmModule = null;
 // populate the relevant fields in the relevant tabs.
 let detectedDevice = null;
 
+// The MCU identified from the connected device's hardware on Connect, as
+// returned by UnifiedProgrammer.identifyMcu(). Unlike detectedDevice.mcu, which
+// is what the firmware on the device claims, this is known for a blank chip.
+let detectedMcu = null;
+
+// Set while anything is using the device - Connect, Stop, Run, Program or
+// choosing from the device list. Their own reboots unplug and replug the
+// device, which the hot-plug handlers must not mistake for the user doing so.
+let deviceBusy = false;
+
+// Set while the device is only being read - the memory inspector, and the
+// live monitor and boot log as they poll. Kept apart from deviceBusy because
+// reading never unplugs the device: an unplug seen meanwhile is the user's,
+// and the hot-plug handlers must act on it however long something watches.
+let deviceReading = false;
+
+// Whether anything at all has the device, so another use must wait its turn
+function deviceInUse() {
+    return deviceBusy || deviceReading;
+}
+
 const wasmReady = (async function() {
     const wasm = await import(ONEROM_WASM_URL);
     await wasm.default();
@@ -184,11 +216,17 @@ const wasmReady = (async function() {
     return wasm;
 })();
 
+// Factory mode (?factory on the URL) offers the actions only made when a board
+// is built, such as writing its identity to OTP
+const FACTORY_MODE = new URLSearchParams(location.search).has('factory');
+
 // Reference to the text boxes, button and progress bar
 const mcuSelectBox = document.getElementById('mcuSelectBox');
 const pageSizeBox = document.getElementById('pageSizeBox');
 const connectProgramButton = document.getElementById('connectProgramButton');
+const cancelButton = document.getElementById('cancelBtn');
 const progressBar = document.getElementById('progressBar');
+const progressEta = document.getElementById('progressEta');
 const connectProgressBar = document.getElementById('connectProgressBar');
 
 // Stop and Run each have two identical controls: one in the Device section and
@@ -211,6 +249,34 @@ connectProgramButton.addEventListener('click', function () {
     startUpdate();
 });
 
+// Controls the programming run in progress, if any. Cancel aborts its signal,
+// which every stage of startUpdate is handed; the stage in progress then stops
+// at its next block boundary and leaves the device in a known state.
+let operationController = null;
+
+cancelButton.addEventListener('click', function () {
+    if (operationController) {
+        cancelButton.disabled = true;
+        operationController.abort();
+    }
+});
+
+// What to tell the user once programming has been cancelled. How far it got
+// decides whether the board still works, so that is what the message leads
+// with.
+function cancelledMessage(error) {
+    const flashState = error instanceof OperationCancelledError ? error.flashState : 'untouched';
+    if (flashState === 'partial') {
+        return 'Programming cancelled.\n\nThe flash was partially written, so this One ROM ' +
+               'will not work until it has been programmed again.';
+    }
+    if (flashState === 'written') {
+        return 'Programming cancelled while verifying.\n\nThe image was written in full, ' +
+               'but has not been checked. Program again to be sure of it.';
+    }
+    return 'Programming cancelled.\n\nNothing was written - the flash is unchanged.';
+}
+
 async function connectAndRead() {
     // forcePicker: the Connect button is where the user chooses which device to
     // talk to, so it always asks. Run and Stop must not - see rebootAndRead.
@@ -264,23 +330,28 @@ function updateDeviceButtons() {
 }
 
 async function stopDevice() {
+    LiveMonitor.withdraw();
     stopButtons.forEach(btn => btn.disabled = true);
+    deviceBusy = true;
     try {
         await rebootAndRead(true);
     } catch (error) {
         alert('Failed to stop device: ' + (error.message || error));
     } finally {
+        deviceBusy = false;
         stopButtons.forEach(btn => btn.disabled = false);
     }
 }
 
 async function runDevice() {
     runButtons.forEach(btn => btn.disabled = true);
+    deviceBusy = true;
     try {
         await rebootAndRead(false);
     } catch (error) {
         alert('Failed to run device: ' + (error.message || error));
     } finally {
+        deviceBusy = false;
         runButtons.forEach(btn => btn.disabled = false);
     }
 }
@@ -338,12 +409,13 @@ async function validateFirmware(fileArr, mcuVariant) {
 
     // MCU: the parser reports the variant for Ice (v1) and the family - always
     // RP2350 - for Fire (v2). Both forms are exactly what the tabs supply, so
-    // this is a direct comparison.
+    // this is a direct comparison. With no MCU chosen, the comparison is left
+    // to confirmMcuBeforeProgramming, against the MCU the device reports.
     if (!summary.mcu) {
         throw ("Error: Invalid One ROM .bin file (firmware does not identify its MCU)");
     }
 
-    if (summary.mcu !== mcuVariant) {
+    if (mcuVariant && summary.mcu !== mcuVariant) {
         throw ("Error: One ROM firmware is for wrong MCU variant (Firmware is for " +
                 summary.mcu + ", expected " + mcuVariant + ")");
     }
@@ -440,13 +512,13 @@ function boardMismatchMessage(boardHwRev, imageHwRev) {
         'Continue?';
 }
 
-// Text for the case where the board cannot tell us what it is. There is no
-// hardware identity to read - a One ROM is only identifiable from the firmware
-// already on it - so the user is asked to check the silkscreen instead.
+// Text for the case where the board cannot tell us what it is. With no identity
+// in OTP, a One ROM is only identifiable from the firmware already on it, so
+// the user is asked to check the silkscreen instead.
 function boardUnverifiableMessage(imageHwRev) {
     const rev = boardRevisionLabel(imageHwRev);
     return 'Board type cannot be checked\n\n' +
-        'This board has no firmware on it, or none that can be read, and a ' +
+        'This board has no firmware on it, or none that can be read, and this ' +
         'One ROM can only be identified from the firmware already on it.\n\n' +
         'You are about to flash firmware for a ' + imageHwRev + ', so please ' +
         'check the board is marked "' + rev + '". The marking is silkscreened ' +
@@ -457,6 +529,12 @@ function boardUnverifiableMessage(imageHwRev) {
         'Continue?';
 }
 
+// A board's name as the parser (hw_rev), the releases manifest and the board
+// identity give it - fire-24-usb-b - whichever form it arrives in
+function normalizeBoardName(board) {
+    return board.toLowerCase().replace(/_/g, '-');
+}
+
 // Confirm with the user before programming, when the board and the image
 // disagree about which board this is - or when the board cannot tell us.
 //
@@ -466,8 +544,12 @@ function boardUnverifiableMessage(imageHwRev) {
 // follows that a mismatch cannot be reported as an error: the board may be the
 // one lying, and we cannot tell the two cases apart.
 //
-// Returns true to proceed with programming, false if the user cancelled.
-async function confirmBoardBeforeProgramming(imageSummary) {
+// Boards with their identity in OTP are the exception: the OTP is checked
+// first, and a mismatch against it throws, as the board cannot be lying.
+//
+// Returns true to proceed with programming, false if the user cancelled. The
+// board read honours signal, for the Cancel button.
+async function confirmBoardBeforeProgramming(imageSummary, { signal } = {}) {
     // With no board in the image there is nothing to compare, so there is no
     // basis on which to question the user. Should not arise for an image that
     // passed validateFirmware.
@@ -476,11 +558,28 @@ async function confirmBoardBeforeProgramming(imageSummary) {
         return true;
     }
 
+    // A board with its identity in OTP says what it is, whatever firmware is on
+    // it - see note 6. Failing to read it is no worse than a board without it.
+    let identity = null;
+    try {
+        identity = await dfu.readBoardIdentity();
+    } catch (error) {
+        console.warn('Failed to read OTP board identity:', error);
+    }
+    if (identity) {
+        if (normalizeBoardName(identity.board) !== normalizeBoardName(imageSummary.hw_rev)) {
+            throw ("Error: This board is a " + identity.board + " (from its OTP), " +
+                   "but the firmware is for a " + imageSummary.hw_rev);
+        }
+        return true;
+    }
+
     // Re-read the board rather than trusting detectedDevice from Connect: the
     // user may have swapped boards since. readAndParseDevice leaves the page
     // alone, so this cannot disturb the user's selections mid-Program.
     const { summary } = await readAndParseDevice({
-        onPhase: (phase) => dfuStatusHandler(phase)
+        onPhase: (phase) => setProgramStatus(phase),
+        signal
     });
 
     // A board's identity is only knowable from the firmware on it. Blank flash,
@@ -506,12 +605,297 @@ async function confirmBoardBeforeProgramming(imageSummary) {
         : boardUnverifiableMessage(imageSummary.hw_rev));
 }
 
-// This function runs the update process. It is asynchronous because the operations inside take some time
-async function startUpdate() {
+// Text for the case where the MCU the device reports and the image disagree.
+function mcuMismatchMessage(deviceMcu, imageMcu) {
+    return 'MCU mismatch\n\n' +
+        'This One ROM\'s STM32 identifies itself as ' + deviceMcu + ', ' +
+        'but you are about to flash firmware for an ' + imageMcu + '.\n\n' +
+        'Firmware for a different STM32 variant may not run, and may not fit ' +
+        'in its flash.\n\n' +
+        'If you flash the wrong firmware you will have to de-brick One ROM ' +
+        'before you can flash it again - see "How It Works" on this page for ' +
+        'how.\n\n' +
+        'Continue?';
+}
+
+// Check the image is for the MCU the connected device actually has, as read
+// from the hardware. Must be called with the device connected.
+//
+// mcuVariant is the MCU chosen on the tab, if any - validateFirmware has
+// already held the image to it. With none chosen, the device's own report
+// stands in for it, and if the device cannot say, the user has to choose.
+//
+// An image for the wrong family - Ice firmware for a Fire, or the reverse - is
+// an error: the USB PID the device presents as cannot be mistaken. Within the
+// STM32 family a mismatch is warn-and-allow, like the board check: detection
+// relies on registers not every bootloader reports, and the user may know
+// better.
+//
+// signal, if given, cancels detection, which then throws.
+//
+// Returns true to proceed with programming, false if the user cancelled.
+async function confirmMcuBeforeProgramming(imageSummary, mcuVariant, { signal } = {}) {
+    let detected = null;
+    try {
+        detected = await dfu.identifyMcu({ signal });
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+        console.warn('MCU detection failed:', error);
+    }
+    const candidates = detected?.candidates ?? [];
+
+    if (candidates.length === 0) {
+        if (!mcuVariant) {
+            throw ("Error: Could not detect the MCU variant (Select it and try again)");
+        }
+        return true;
+    }
+
+    if (candidates.includes(imageSummary.mcu)) {
+        return true;
+    }
+
+    const deviceMcu = detected.mcu ?? candidates.join(' or ');
+    if ((imageSummary.mcu === 'RP2350') !== candidates.includes('RP2350')) {
+        throw ("Error: One ROM firmware is for wrong MCU variant (Firmware is for " +
+                imageSummary.mcu + ", this One ROM has " + deviceMcu + ")");
+    }
+
+    return confirm(mcuMismatchMessage(deviceMcu, imageSummary.mcu));
+}
+
+// Identify the connected device's MCU from its hardware, and pre-select it on
+// the URL and Local File tabs. A choice the user made themselves is left alone;
+// one pre-selected by an earlier Connect is replaced, in case the board has
+// been swapped since. Best effort: if detection fails, the choice stays with
+// the user as it always did.
+async function applyDetectedMcu() {
+    try {
+        detectedMcu = await dfu.identifyMcu();
+    } catch (error) {
+        console.warn('MCU detection failed:', error);
+        detectedMcu = null;
+        return;
+    }
+
+    if (!detectedMcu.mcu) return;
+
+    for (const id of ['mcuSelectUrl', 'mcuSelectFile']) {
+        const mcuSelect = document.getElementById(id);
+        if (mcuSelect.value !== '' && !mcuSelect.dataset.detected) continue;
+        if (!mcuSelect.querySelector(`option[value="${detectedMcu.mcu}"]`)) continue;
+        mcuSelect.value = detectedMcu.mcu;
+        mcuSelect.dataset.detected = 'true';
+    }
+    updateProgramButtonForCurrentTab();
+}
+
+// Back up the board's flash before it is overwritten, keeping it in IndexedDB
+// (see backupStore.js). Must be called with the device connected, in the mode
+// it is about to be programmed in.
+//
+// How much to read depends on the board. Ice: the whole flash, whose size it
+// reports. Fire: only the image on it (see imageExtent()) - its flash is far
+// larger than any image, and its size cannot be asked for anyway. Where the
+// firmware does not say how long its image is, the read is 2MB, and the
+// erased flash at the end of it is left out of the backup.
+//
+// Returns true to go on and program, false if the backup could not be taken
+// and the user chose not to program without one. Cancelling throws, as it does
+// for every other stage.
+async function backupBeforeProgramming({ signal } = {}) {
+    try {
+        const { summary } = await readAndParseDevice({
+            onPhase: () => setProgramStatus('Backing up'),
+            signal
+        });
+
+        const extent = dfu.getDeviceType() === 'Ice'
+            ? { length: dfu.getFlashSize(), exact: true }
+            : imageExtent(summary);
+
+        let data = await dfu.upload(extent.length, { signal });
+        if (!extent.exact) {
+            data = data.slice(0, usedLength(data, dfu.RP2350_SECTOR_SIZE));
+        }
+
+        // Erased flash has nothing worth keeping
+        if (data.length > 0) {
+            await saveBackup({
+                serial: dfu.getSerialNumber(),
+                model: summary?.model,
+                mcu: summary?.mcu,
+                hwRev: summary?.hw_rev,
+                version: summary?.version,
+                data
+            });
+        }
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+        console.error('Backup failed:', error);
+        return confirm('Backup failed\n\n' +
+            'The flash could not be backed up: ' + (error.message || error) + '\n\n' +
+            'Continue programming without a backup?');
+    }
+
+    BackupPanel.refresh();
+    return true;
+}
+
+// Get the image the active tab would program, as a flat image from the flash
+// base, and the MCU variant it is for - null where the tab leaves that to be
+// detected from the device.
+//
+// Returns { fileArr, mcuVariant, gaps }, fileArr an ArrayBuffer and gaps the
+// address ranges a file in an addressed format left erased - see
+// firmwareFormats.js. Throws, with a message for the user, if the tab has no
+// image ready or its file cannot be converted.
+async function retrieveTabImage({ signal } = {}) {
+    const activeTab = document.querySelector('.tab-button.active').getAttribute('data-tab');
+    let fileArr;
+    let mcuVariant = null;
+
+    if (activeTab === 'url') {
+        // URL tab: Download firmware from provided URL
+        
+        // MCU variant, if selected. If not, it is detected from the
+        // device once connected
+        mcuVariant = document.getElementById('mcuSelectUrl').value || null;
+
+        // Check URL is provided
+        if (fileLocationBox.value == "") {
+            throw ("Error: No URL provided");
+        }
+
+        // Fetch the firmware file from the URL
+        let response = await fetch(fileLocationBox.value, { signal });
+
+        // Check for HTTP errors
+        if (!response.ok) {
+            if (response.status === 404) {
+                throw ("Error: Firmware file not found at the specified URL");
+            } else if (response.status === 403) {
+                throw ("Error: Access denied to firmware file");
+            } else {
+                throw ("Error: Failed to download firmware file (" + response.status + " " + response.statusText + ")");
+            }
+        }
+
+        // Get the firmware data as an array buffer
+        fileArr = await response.arrayBuffer();
+        
+    } else if (activeTab === 'file') {
+        // Local File tab: Read firmware from uploaded file
+        
+        // MCU variant, if selected. If not, it is detected from the
+        // device once connected
+        mcuVariant = document.getElementById('mcuSelectFile').value || null;
+        
+        // Check a file has been selected
+        if (!fileUploadBox.files || fileUploadBox.files.length === 0) {
+            throw ("Error: No file selected");
+        }
+        
+        // Read the file data
+        const file = fileUploadBox.files[0];
+        fileArr = await file.arrayBuffer();
+        
+    } else if (activeTab === 'prebuilt') {
+        // Pre-built Images tab: Download firmware from GitHub release
+        
+        // Check that a firmware has been selected through the dropdowns
+        if (!PrebuiltManager.selectedArtifact) {
+            throw ("Error: No firmware selected");
+        }
+        
+        // Download the firmware and verify its SHA256 checksum
+        fileArr = await PrebuiltManager.downloadAndVerify();
+        
+        // Convert MCU format from manifest (lowercase like "f446rc") to validation format (uppercase like "F446RC")
+        mcuVariant = PrebuiltManager.selectedArtifact.mcu.toUpperCase();
+
+    } else if (activeTab === 'custom') {
+        // Custom Image tab: Use built firmware
+    
+        if (!CustomImageManager.hasCurrentBuild()) {
+            throw ("Error: No firmware built for the current configuration - press Build Firmware");
+        }
+        
+        fileArr = CustomImageManager.builtFirmware.buffer;
+        mcuVariant = CustomImageManager.selectedMcu;
+
+    } else {
+        throw ("Error: No firmware source provided");
+    }
+
+    // UF2, Intel HEX, ELF and DfuSe files become the flat image everything
+    // from here on expects. Only the URL and Local tabs take files from
+    // elsewhere; the others always hold flat images.
+    let gaps = [];
+    if (activeTab === 'url' || activeTab === 'file') {
+        let base;
+        ({ image: fileArr, gaps, base } = toFlatImage(fileArr));
+        checkImageBase(base, mcuVariant);
+    }
+
+    return { fileArr, mcuVariant, gaps };
+}
+
+// Refuse a converted file whose addresses are for the other kind of One ROM - a
+// UF2 for an Ice, say, or a DfuSe file for a Fire - than the MCU chosen on the
+// tab or, with none chosen, the one identified on Connect. A raw binary (base
+// null), or a file with nothing to check it against, passes: validateFirmware
+// and the MCU check still stand between it and the device.
+function checkImageBase(base, mcuVariant) {
+    const mcus = mcuVariant ? [mcuVariant] : (detectedMcu?.candidates ?? []);
+    if (base === null || mcus.length === 0) return;
+
+    const fire = mcus.includes('RP2350');
+    if (base !== (fire ? RP2350_FLASH_BASE : STM32_FLASH_BASE)) {
+        throw ("Error: This firmware file is for a One ROM " + (fire ? "Ice" : "Fire") +
+               ", not the One ROM " + (fire ? "Fire" : "Ice") + " (" + mcus.join(" or ") +
+               ") it would be programmed onto");
+    }
+}
+
+// Describe the gaps toFlatImage found, one per line
+function gapsText(gaps) {
+    const hex = address => '0x' + address.toString(16).toUpperCase().padStart(8, '0');
+    return gaps.map(gap => hex(gap.start) + '-' + hex(gap.end - 1) +
+                           ' (' + (gap.end - gap.start) + ' bytes)').join('\n');
+}
+
+// This function runs the update process. It is asynchronous because the operations inside take some time.
+//
+// source, if given, is an image to flash in place of the active tab's:
+// { data, mcu, serial }, where data is a Uint8Array, mcu the MCU it is for, and
+// serial, if set, the only board it may go on. Backups being restored and
+// clones come this way. It goes through the same validation as any other image.
+async function startUpdate({ source = null } = {}) {
 
     // Disable the button to avoid the user calling this multiple times
     connectProgramButton.disabled = true;
     connectBtn.disabled = true;
+    deviceBusy = true;
+
+    // What the live monitor watches is about to be replaced
+    LiveMonitor.withdraw();
+
+    // Offer Cancel for as long as this runs
+    operationController = new AbortController();
+    const signal = operationController.signal;
+    cancelButton.disabled = false;
+    cancelButton.classList.remove('hidden');
+
+    // Show what the programmer is doing on the Program button and its bar
+    const stopFollowing = followProgrammer({
+        onPhase: setProgramStatus,
+        onProgress: setProgramProgress
+    });
 
     // Hide detected device info
     document.getElementById('deviceSummary').classList.add('hidden');
@@ -523,87 +907,19 @@ async function startUpdate() {
         // Variables to hold the firmware data and MCU variant
         let fileArr;
         let mcuVariant;
+        let gaps = [];
         
         // Determine which tab is currently active
         const activeTab = document.querySelector('.tab-button.active').getAttribute('data-tab');
 
-        dfuStatusHandler("Retrieving");
-        
-        if (activeTab === 'url') {
-            // URL tab: Download firmware from provided URL
-            
-            // Check MCU variant is selected
-            mcuVariant = document.getElementById('mcuSelectUrl').value;
-            if (mcuVariant == "") {
-                throw ("Error: No MCU variant selected");
-            }
-
-            // Check URL is provided
-            if (fileLocationBox.value == "") {
-                throw ("Error: No URL provided");
-            }
-
-            // Fetch the firmware file from the URL
-            let response = await fetch(fileLocationBox.value);
-
-            // Check for HTTP errors
-            if (!response.ok) {
-                if (response.status === 404) {
-                    throw ("Error: Firmware file not found at the specified URL");
-                } else if (response.status === 403) {
-                    throw ("Error: Access denied to firmware file");
-                } else {
-                    throw ("Error: Failed to download firmware file (" + response.status + " " + response.statusText + ")");
-                }
-            }
-
-            // Get the firmware data as an array buffer
-            fileArr = await response.arrayBuffer();
-            
-        } else if (activeTab === 'file') {
-            // Local File tab: Read firmware from uploaded file
-            
-            // Check MCU variant is selected
-            mcuVariant = document.getElementById('mcuSelectFile').value;
-            if (mcuVariant == "") {
-                throw ("Error: No MCU variant selected");
-            }
-            
-            // Check a file has been selected
-            if (!fileUploadBox.files || fileUploadBox.files.length === 0) {
-                throw ("Error: No file selected");
-            }
-            
-            // Read the file data
-            const file = fileUploadBox.files[0];
-            fileArr = await file.arrayBuffer();
-            
-        } else if (activeTab === 'prebuilt') {
-            // Pre-built Images tab: Download firmware from GitHub release
-            
-            // Check that a firmware has been selected through the dropdowns
-            if (!PrebuiltManager.selectedArtifact) {
-                throw ("Error: No firmware selected");
-            }
-            
-            // Download the firmware and verify its SHA256 checksum
-            fileArr = await PrebuiltManager.downloadAndVerify();
-            
-            // Convert MCU format from manifest (lowercase like "f446rc") to validation format (uppercase like "F446RC")
-            mcuVariant = PrebuiltManager.selectedArtifact.mcu.toUpperCase();
-
-        } else if (activeTab === 'custom') {
-            // Custom Image tab: Use built firmware
+        setProgramStatus("Retrieving");
         
-            if (!CustomImageManager.hasCurrentBuild()) {
-                throw ("Error: No firmware built for the current configuration - press Build Firmware");
-            }
-            
-            fileArr = CustomImageManager.builtFirmware.buffer;
-            mcuVariant = CustomImageManager.selectedMcu;
-    
+        if (source) {
+            // Copied, so whatever the caller holds is left intact
+            fileArr = source.data.slice().buffer;
+            mcuVariant = source.mcu;
         } else {
-            throw ("Error: No firmware source provided");
+            ({ fileArr, mcuVariant, gaps } = await retrieveTabImage({ signal }));
         }
 
         // Validate the incoming image before touching the device. Its parse is
@@ -611,6 +927,16 @@ async function startUpdate() {
         // rather than parsing the same bytes twice.
         const imageSummary = await validateFirmware(fileArr, mcuVariant);
 
+        // A file with holes in it programs them erased. That is usually
+        // padding between sections, but could be a file missing some of what
+        // it should have, so the user decides.
+        if (gaps.length > 0 &&
+            !confirm('The firmware file leaves gaps, which will be programmed erased (0xFF):\n\n' +
+                     gapsText(gaps) + '\n\nProgram it anyway?')) {
+            resetProgramControls();
+            return;
+        }
+
         // Connect to the device
         await dfu.connect(false);
 
@@ -619,8 +945,8 @@ async function startUpdate() {
         // re-enumerates it under a different PID, hence the reconnect.
         const wasRunning = dfu.isRunMode();
         if (wasRunning) {
-            dfuStatusHandler('Stopping');
-            if (!await dfu.rebootAndReconnect(true)) {
+            setProgramStatus('Stopping');
+            if (!await dfu.rebootAndReconnect(true, { signal })) {
                 // Cannot recover here: showing a picker needs user activation,
                 // and this click's is long gone - retrieving and parsing the
                 // image happened first. The board is stopped, so a Connect will
@@ -630,41 +956,103 @@ async function startUpdate() {
             }
         }
 
-        // Check the image is for this board, warning the user if not - or if
-        // the board cannot say what it is. The user has the final word.
-        if (!await confirmBoardBeforeProgramming(imageSummary)) {
+        // A protected STM32 fails part way through reading or programming with
+        // an opaque DFU error, so refuse up front and say why. Write protection
+        // only matters in the sectors the image covers. A bootloader that will
+        // not give up its option bytes is not a reason to stop.
+        let protection = null;
+        try {
+            protection = await dfu.readProtection();
+        } catch (error) {
+            console.warn('Failed to read flash protection:', error);
+        }
+        if (protection) {
+            const imageSectors = dfu.getSectors(fileArr.byteLength).length;
+            const blocking = {
+                rdpLevel: protection.rdpLevel,
+                writeProtected: protection.writeProtected.filter(sector => sector < imageSectors)
+            };
+            if (blocking.rdpLevel > 0 || blocking.writeProtected.length > 0) {
+                throw ("Error: One ROM's flash is protected (" + protectionText(blocking) + ").  " +
+                       "Press Connect, then Remove protection, before programming.");
+            }
+        }
+
+        // Check the image is for this board's MCU and for this board, warning
+        // the user if not - or if the board cannot say what it is. The user has
+        // the final word.
+        if (!await confirmMcuBeforeProgramming(imageSummary, mcuVariant, { signal }) ||
+            !await confirmBoardBeforeProgramming(imageSummary, { signal })) {
             // The user has said no to this image, so do not leave it one click
             // from being flashed: discard it and make them build again. Only
             // the custom tab has anything to discard - the other tabs hold a
             // file or a selection, which cancelling does not invalidate.
-            if (activeTab === 'custom') {
+            if (activeTab === 'custom' && !source) {
                 CustomImageManager.discardBuild();
             }
             await dfu.disconnect();
-            dfuDisconnectHandler();
+            resetProgramControls();
             return;
         }
 
-        // Run the update sequence (existing code)
-        await dfu.runUpdateSequence(fileArr, mcuVariant);
+        // An image read from one board only goes back on that board. Boards
+        // that report no serial cannot be told apart, so cannot be held to this.
+        if (source?.serial && (dfu.getSerialNumber() || 'unknown') !== source.serial) {
+            throw ("Error: This image was read from a different One ROM (serial " +
+                   source.serial + ")");
+        }
+
+        // Back up what is on the board first, if asked
+        if (document.getElementById('backupBeforeProgram').checked &&
+            !await backupBeforeProgramming({ signal })) {
+            await dfu.disconnect();
+            resetProgramControls();
+            return;
+        }
 
-        // Restart the One ROM if asked. Gated on the image we just flashed being
-        // able to run: without a system plugin the firmware drops straight to
-        // BOOTSEL the moment it sees VBUS, so rebooting into it would land us
-        // back in the bootloader having achieved nothing.
+        // Run the update sequence. The image's MCU stands in for one not chosen
+        // on the tab: it has been checked against the device above
+        const differential = document.getElementById('differentialProgram').checked;
+        const { sectors, skipped } = await dfu.runUpdateSequence(
+            fileArr, mcuVariant ?? imageSummary.mcu, { signal, differential });
+
+        // A differential run says how much it was spared
+        const completeText = differential
+            ? `Complete! (${skipped} of ${sectors} sectors unchanged)`
+            : 'Complete!';
+
+        // Programmed and verified: what follows is tidying up, and cancelling
+        // it part way would only leave the device panel out of date.
+        cancelButton.classList.add('hidden');
+
+        // Restart the One ROM if asked. Which kind it is comes from the device
+        // itself, not the image, which may not say. For Fire, gated on the
+        // image we just flashed being able to run: without a system plugin the
+        // firmware drops straight to BOOTSEL the moment it sees VBUS, so
+        // rebooting into it would land us back in the bootloader having
+        // achieved nothing.
         if (document.getElementById('restartAfterProgram').checked) {
-            const imageModel = (imageSummary.model || '').toLowerCase();
-            if (imageModel !== 'fire') {
-                // Ice only ever presents in STM32 DFU bootloader mode, so it
-                // cannot be told to run over USB at all - reboot() refuses it.
-                // Its can_run reports the v1 USB DFU build flag, which says
-                // nothing about running, so it cannot be used to decide this.
-                console.log('Not restarting: only Fire can be restarted over USB');
+            if (dfu.getDeviceType() === 'Ice') {
+                // Ice leaves the STM32 bootloader and runs - but once running it
+                // is no longer on USB in a form we can talk to, so there is no
+                // device to read back until it next enters the bootloader. Its
+                // can_run reports the v1 USB DFU build flag, which says nothing
+                // about running, so it is not consulted.
+                setProgramStatus('Restarting');
+                await dfu.reboot(false);
+                document.getElementById('connectBtn').textContent = 'Connect';
+                setTimeout(() => alert('One ROM has been programmed and restarted.  ' +
+                    'It cannot be connected to again until it next enters the bootloader.'), 100);
+                setProgramStatus(completeText);
+                setTimeout(() => {
+                    setProgramStatus('Program');
+                }, 2000);
+                return;
             } else if (!imageSummary.can_run) {
                 console.log('Not restarting: firmware has no system plugin, so it ' +
                             'cannot run while USB is attached');
             } else {
-                dfuStatusHandler('Restarting');
+                setProgramStatus('Restarting');
                 if (!await dfu.rebootAndReconnect(false)) {
                     // The reboot succeeded, so the device is running: only
                     // reattaching failed, which means the running PID has not
@@ -674,16 +1062,18 @@ async function startUpdate() {
                     // reconnect below fail with something vague.
                     setTimeout(() => alert('One ROM has been programmed and restarted, but ' +
                         'cannot reconnect automatically.  Press Connect to re-connect manually.'), 100);
-                    dfuStatusHandler('Complete!');
+                    setProgramStatus(completeText);
                     setTimeout(() => {
-                        dfuStatusHandler('Program');
+                        setProgramStatus('Program');
                     }, 2000);
                     return;
                 }
             }
         }
 
-        // Automatically reconnect and refresh device info
+        // Automatically reconnect and refresh device info. The read shows on
+        // the device panel's own bar, not the Program button's
+        stopFollowing();
         try {
             await dfu.connect(); // Use cached device, no picker
             await readAndDisplayDeviceInfo();
@@ -693,9 +1083,9 @@ async function startUpdate() {
             document.getElementById('connectBtn').textContent = 'Reconnect';
 
             // Show success message, then reset after 2 seconds
-            dfuStatusHandler('Complete!');
+            setProgramStatus(completeText);
             setTimeout(() => {
-                dfuStatusHandler('Program');
+                setProgramStatus('Program');
             }, 2000);
         } catch (error) {
             console.log("Failed to auto-refresh device info: " + error);
@@ -703,9 +1093,9 @@ async function startUpdate() {
             setTimeout(() => alert("One ROM USB Programming completed, but failed to read back device info"), 100);
 
             // Show success message, then reset after 2 seconds (even on error)
-            dfuStatusHandler('Complete!');
+            setProgramStatus(completeText);
             setTimeout(() => {
-                dfuStatusHandler('Program');
+                setProgramStatus('Program');
             }, 2000);
         }
 
@@ -717,20 +1107,48 @@ async function startUpdate() {
         // User cancelled device selection - not an error
         if (error.name === 'NotFoundError' || 
             (error.message && error.message.includes('No device selected'))) {
-            dfuDisconnectHandler();
+            resetProgramControls();
             return;
         }
 
         // Reset the button and progress bar
-        dfuDisconnectHandler();
+        resetProgramControls();
+
+        // Cancelled with the Cancel button. The device has already been left
+        // in a known state; what the user needs is whether it still works.
+        if (signal.aborted) {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            alert(cancelledMessage(error));
+            return;
+        }
+
+        // A verify failure means the board now holds neither the old image nor
+        // the new one, so say what to do about it rather than just what failed.
+        if (error instanceof VerifyError) {
+            alert(error.message + "\n\nThe board was written, but does not hold the " +
+                  "image that was sent. This usually means a poor USB cable or " +
+                  "connection. Check it, then program again.");
+            return;
+        }
 
         // Show the error as an alert
         alert(error);
     }
 
     finally {
+        stopFollowing();
+        deviceBusy = false;
+        operationController = null;
+        cancelButton.classList.add('hidden');
         updateProgramButtonForCurrentTab();
         connectBtn.disabled = false;
+
+        // Stopping and restarting change the mode the device lists under
+        DeviceList.refresh();
     }
 }
 
@@ -1800,8 +2218,7 @@ const CustomImageManager = {
         }
         
         // Find the board
-        const boardName = board.toLowerCase().replace(/_/g, '-');
-        const boardData = release.boards.find(b => b.name === boardName);
+        const boardData = release.boards.find(b => b.name === normalizeBoardName(board));
         if (!boardData) {
             throw new Error(`Board ${board} not found in release ${version}`);
         }
@@ -2134,16 +2551,16 @@ const CustomImageManager = {
 };
 
 // Helper functions to check if tabs are ready
+// The MCU variant is optional on both: without one it is detected from the
+// device when programming.
 function isUrlTabReady() {
-    const mcuSelect = document.getElementById('mcuSelectUrl');
     const urlInput = document.getElementById('fileLocationBox');
-    return mcuSelect.value !== '' && urlInput.value.trim() !== '';
+    return urlInput.value.trim() !== '';
 }
 
 function isFileTabReady() {
-    const mcuSelect = document.getElementById('mcuSelectFile');
     const fileInput = document.getElementById('fileUploadBox');
-    return mcuSelect.value !== '' && fileInput.files && fileInput.files.length > 0;
+    return fileInput.files && fileInput.files.length > 0;
 }
 
 function isPrebuiltTabReady() {
@@ -2320,12 +2737,18 @@ document.getElementById('fileUploadBox').addEventListener('change', function() {
     updateProgramButtonForCurrentTab();
 });
 
+// A user's own MCU choice is no longer one applyDetectedMcu may replace
+function onMcuSelectChange() {
+    delete this.dataset.detected;
+    updateProgramButtonForCurrentTab();
+}
+
 // URL tab event listeners
-document.getElementById('mcuSelectUrl').addEventListener('change', updateProgramButtonForCurrentTab);
+document.getElementById('mcuSelectUrl').addEventListener('change', onMcuSelectChange);
 document.getElementById('fileLocationBox').addEventListener('input', updateProgramButtonForCurrentTab);
 
 // File tab event listeners
-document.getElementById('mcuSelectFile').addEventListener('change', updateProgramButtonForCurrentTab);
+document.getElementById('mcuSelectFile').addEventListener('change', onMcuSelectChange);
 
 function applyDetectedDeviceToPrebuilt() {
     if (PrebuiltManager.manifests.length === 0) return;
@@ -2405,9 +2828,10 @@ async function applyDetectedDeviceToCustom() {
 // selections (see the architectural notes at the top of this file). Callers
 // that want to display the result do so themselves.
 //
-// Phase changes ('Reading', 'Re-reading') are reported through onPhase so each
-// caller can route them to its own control. Upload progress is not handled
-// here: it goes to window.dfuProgressHandler, which the caller owns.
+// Phase changes ('Reading', 'Re-reading') are reported through onPhase, and
+// upload progress through onProgress(percent, etaSeconds), so each caller can
+// route them to its own controls. A caller already following the programmer's
+// progress events can leave onProgress out. signal, if given, cancels the read.
 //
 // Returns { summary, firmwareData }:
 //   - summary        the parsed DeviceSummary, or null if the flash contents
@@ -2418,12 +2842,12 @@ async function applyDetectedDeviceToCustom() {
 // that reads fine but cannot be interpreted is reported as a null summary, so
 // callers can tell "I could not talk to the board" apart from "the board is
 // not running firmware I understand" - a distinction they act on differently.
-async function readAndParseDevice({ onPhase = () => {} } = {}) {
+async function readAndParseDevice({ onPhase = () => {}, onProgress, signal } = {}) {
     onPhase('Reading');
 
     // Read the first 64KB of flash. Metadata - and therefore the plugin/ROM
     // list - lives within this range for both firmware generations.
-    let firmwareData = await dfu.upload(65536);
+    let firmwareData = await uploadWithProgress(65536, { onProgress, signal });
 
     // RAM read callback handed to parse_firmware. The parser calls it to
     // follow runtime pointers into RAM, which is what lets us report the
@@ -2437,7 +2861,7 @@ async function readAndParseDevice({ onPhase = () => {} } = {}) {
     // marked active. It does not make the parse corrupt.
     const canReadRam = dfu.getDeviceType() === 'Fire' && dfu.isRunMode();
     const readCb = canReadRam
-        ? (addr, len) => dfu.readMemory(addr, len)
+        ? (addr, len) => dfu.readMemory(addr, len, { signal })
         : () => Promise.reject(new Error('RAM unavailable: device not running'));
 
     // Parse the flash image; RAM is fetched on demand through readCb. A parse
@@ -2461,13 +2885,69 @@ async function readAndParseDevice({ onPhase = () => {} } = {}) {
     if (summary.full_reread_size) {
         onPhase('Re-reading');
         console.log('Pre-v0.5.0 firmware: re-reading full chip for complete info');
-        firmwareData = await dfu.upload(summary.full_reread_size);
+        firmwareData = await uploadWithProgress(summary.full_reread_size, { onProgress, signal });
         summary = await tryParse(firmwareData);
     }
 
     return { summary, firmwareData };
 }
 
+// Read flash from the flash base, as dfu.upload() does, passing its progress to
+// onProgress(percent, etaSeconds) if given
+async function uploadWithProgress(length, { onProgress, signal } = {}) {
+    const stopFollowing = followProgrammer({ onProgress });
+    try {
+        return await dfu.upload(length, { signal });
+    } finally {
+        stopFollowing();
+    }
+}
+
+// How much of the connected board's flash its One ROM image takes, from the
+// parse: { length, exact }. A parser that reports the image's length
+// (image_size) gives it exactly; v0.4.1, the one pinned here, does not, nor can
+// a board that does not parse. Then the most an image can take is used instead
+// - see UnifiedProgrammer.getMaxImageSize().
+function imageExtent(summary) {
+    if (summary?.image_size) {
+        return { length: summary.image_size, exact: true };
+    }
+    return { length: dfu.getMaxImageSize(), exact: false };
+}
+
+// How much of flash read from the base is in use: up to the end of the last
+// sector holding anything but erased flash (0xFF)
+function usedLength(data, sectorSize) {
+    let end = data.length;
+    while (end > 0 && data[end - 1] === 0xFF) {
+        end--;
+    }
+    return Math.min(data.length, Math.ceil(end / sectorSize) * sectorSize);
+}
+
+// Read the board's whole One ROM image - firmware, metadata and ROM images -
+// rather than the first 64KB readAndParseDevice settles for. As free of page
+// side effects as that is.
+//
+// Its length comes from imageExtent(), so the image may be followed by erased
+// flash, or what an earlier image left. A board whose firmware cannot be parsed
+// cannot be read this way and throws.
+//
+// Returns { summary, image }.
+async function readDeviceImage({ onPhase = () => {}, onProgress, signal } = {}) {
+    const { summary, firmwareData } = await readAndParseDevice({ onPhase, onProgress, signal });
+    if (!summary?.version) {
+        throw new Error('the firmware on this board could not be recognised');
+    }
+
+    // The parse may already have read enough
+    const { length } = imageExtent(summary);
+    const image = firmwareData.length >= length
+        ? firmwareData.slice(0, length)
+        : await uploadWithProgress(length, { onProgress, signal });
+    return { summary, image };
+}
+
 // Render the device summary for a board whose firmware we cannot interpret:
 // everything but the status line is unknown, and the details pane is hidden
 // because there is nothing to put in it.
@@ -2483,79 +2963,291 @@ function displayUninterpretableFirmware(status) {
     document.getElementById('deviceDetails').classList.add('hidden');
 }
 
-async function readAndDisplayDeviceInfo() {
-    // Save the original progress handler
-    const originalProgressHandler = window.dfuProgressHandler;
+// Describe an Ice's flash protection, as from UnifiedProgrammer.readProtection().
+function protectionText(protection) {
+    const parts = [];
+    if (protection.rdpLevel > 0) {
+        parts.push('Read-out protected (level ' + protection.rdpLevel + ')');
+    }
+    if (protection.writeProtected.length > 0) {
+        parts.push('Write protected sectors ' + protection.writeProtected.join(', '));
+    }
+    return parts.join('; ') || 'None';
+}
 
-    // Temporarily replace it to use the connect progress bar
-    window.dfuProgressHandler = function(value) {
-        connectProgressBar.value = value;
-    };
+// Read the device's flash protection and show it on the device panel, with the
+// Remove button when there is protection that can be removed. Fire has none, so
+// the row is hidden. Best effort: a bootloader that will not give up its option
+// bytes is reported as unknown rather than failing the whole read.
+//
+// Returns the protection, or null if there is none to speak of or it is unknown.
+async function displayProtection() {
+    const row = document.getElementById('deviceProtectionRow');
+    const removeBtn = document.getElementById('removeProtectionBtn');
 
+    let protection = null;
     try {
-        const { summary, firmwareData } = await readAndParseDevice({
-            onPhase: (phase) => { connectBtn.textContent = phase; }
-        });
-
-        // Flash read, but the contents could not be parsed at all.
-        if (summary === null) {
-            displayUninterpretableFirmware('✘ - Unrecognized firmware');
-            updateDeviceButtons();
-            return;
-        }
-
-        // No version means this is not recognisable One ROM firmware. Tell a
-        // blank (all-0xFF) chip apart from unrecognised contents.
-        if (!summary.version) {
-            const allFF = firmwareData.every(byte => byte === 0xFF);
-            displayUninterpretableFirmware(allFF
-                ? '✘ - No firmware (blank/erased chip)'
-                : '✘ - Unrecognized firmware');
-            updateDeviceButtons();
-            return;
-        }
+        protection = await dfu.readProtection();
+    } catch (error) {
+        console.warn('Failed to read flash protection:', error);
+        document.getElementById('deviceProtection').textContent = 'Unknown';
+        row.classList.remove('hidden');
+        removeBtn.classList.add('hidden');
+        return null;
+    }
 
-        // Status: a corrupt parse overrides everything; otherwise the run state
-        // comes from the USB interface (authoritative), not the parse.
-        document.getElementById('deviceStatus').textContent = summary.corrupt
-            ? '⚠ - One ROM firmware corrupt'
-            : '✔ - One ROM firmware good (' + (dfu.isRunMode() ? 'Running' : 'Stopped') + ')';
+    row.classList.toggle('hidden', protection === null);
+    if (protection !== null) {
+        document.getElementById('deviceProtection').textContent = protectionText(protection);
+        removeBtn.classList.toggle('hidden', protection.rdpLevel === 2 ||
+            (protection.rdpLevel === 0 && protection.writeProtected.length === 0));
+    }
+    return protection;
+}
 
-        document.getElementById('deviceVersion').textContent = summary.version;
-        document.getElementById('deviceMcu').textContent = summary.mcu || 'Unknown';
-        document.getElementById('devicePcbRevision').textContent = summary.hw_rev || 'Unknown';
+async function removeProtection() {
+    if (deviceInUse()) return;
+    if (!confirm('Remove protection\n\n' +
+                 'Removing read-out protection erases the whole of the STM32\'s flash - ' +
+                 'that is the only way the STM32 allows it to be removed. One ROM will ' +
+                 'then need programming again.\n\n' +
+                 'Removing write protection does not erase anything.\n\n' +
+                 'Either way One ROM resets afterwards, so press Connect again to see ' +
+                 'the result. If it had both kinds of protection, remove it a second time.\n\n' +
+                 'Continue?')) {
+        return;
+    }
 
-        // Plugins get their own line, shown only when present. The active entry
-        // (running devices only) is marked. The labels are the raw image
-        // sources at first; upgradePluginLabels then replaces them with friendly
-        // names (manifest display name for official plugins, file stem for
-        // local ones) as those resolve - best-effort, non-blocking.
-        const pluginsRow = document.getElementById('devicePluginsRow');
-        const pluginsEl = document.getElementById('devicePlugins');
-        if (summary.plugins.length > 0) {
-            pluginsEl.textContent = summary.plugins.map(formatRomEntry).join(', ');
-            pluginsRow.classList.remove('hidden');
-            // Fire-and-forget: enhance the labels in the background. A slow or
-            // failed manifest fetch simply leaves the raw label in place.
-            upgradePluginLabels(summary.plugins, pluginsEl);
-        } else {
-            pluginsRow.classList.add('hidden');
+    const removeBtn = document.getElementById('removeProtectionBtn');
+    removeBtn.disabled = true;
+    deviceBusy = true;
+    try {
+        await dfu.removeProtection();
+        document.getElementById('deviceSummary').classList.add('hidden');
+        document.getElementById('deviceDetails').classList.add('hidden');
+        document.getElementById('connectBtn').textContent = 'Connect';
+        alert('Protection removed.  One ROM has reset - press Connect to re-connect.');
+    } catch (error) {
+        alert('Failed to remove protection: ' + (error.message || error));
+        try {
+            await dfu.disconnect();
+        } catch (e) {
+            // Ignore disconnect errors
         }
+    } finally {
+        deviceBusy = false;
+        removeBtn.disabled = false;
+    }
+}
 
-        // ROMs line, truncated to the first three.
-        const romLabels = summary.roms.map(formatRomEntry);
-        if (romLabels.length === 0) {
-            document.getElementById('deviceConfig').textContent = 'No ROMs';
-        } else if (romLabels.length <= 3) {
-            document.getElementById('deviceConfig').textContent = romLabels.join(', ');
-        } else {
-            document.getElementById('deviceConfig').textContent =
-                `${romLabels.slice(0, 3).join(', ')} (+${romLabels.length - 3} more)`;
-        }
+document.getElementById('removeProtectionBtn').addEventListener('click', removeProtection);
+
+// Show a Fire's chip ID, and the board identity in its OTP if it has one - with,
+// in factory mode, the action that writes it. Ice has neither, so the row is
+// hidden. Best effort, as displayProtection: OTP that cannot be read is shown
+// as unknown, and the write is only offered where the picoboot library can do
+// it.
+async function displayBoardIdentity() {
+    const row = document.getElementById('deviceIdentityRow');
+    const text = document.getElementById('deviceIdentity');
+    const writeBtn = document.getElementById('writeIdentityBtn');
+    writeBtn.classList.add('hidden');
+    row.classList.toggle('hidden', dfu.getDeviceType() !== 'Fire');
+    if (dfu.getDeviceType() !== 'Fire') return;
+
+    const otp = dfu.getOtpSupport();
+    if (!otp.read) {
+        text.textContent = 'Unknown (this version of the picoboot library cannot read OTP)';
+        return;
+    }
 
-        // Store for pre-population of the programming tabs. canRun comes straight
-        // from the WASM (has the USB system plugin) rather than being re-derived
-        // here.
+    try {
+        const chipId = await dfu.readChipId();
+        const identity = await dfu.readBoardIdentity();
+        text.textContent = `Chip ${chipId}, ` +
+            (identity ? `board ${identity.board} (from OTP)` : 'no board identity in OTP');
+        writeBtn.classList.toggle('hidden', !FACTORY_MODE || !otp.write || identity !== null);
+    } catch (error) {
+        console.warn('Failed to read OTP:', error);
+        text.textContent = 'Unknown';
+    }
+}
+
+// Factory only: write the board's identity to OTP, once and for good. The
+// board name is typed in, checked against the boards the WASM knows, and typed
+// again to confirm it, because a wrong one can never be corrected -
+// UnifiedProgrammer.writeBoardIdentity writes nothing unless the two match.
+async function writeBoardIdentity() {
+    if (deviceInUse()) return;
+
+    // Names are checked and written in the one form the identity is compared
+    // in, whichever form the parser or the user gives them
+    const entered = prompt('Write board identity\n\n' +
+                           'Enter the board name, e.g. fire-28-c, checking the revision against ' +
+                           'the silkscreen. It is written to OTP, and can never be changed.',
+                           detectedDevice?.hw_rev ? normalizeBoardName(detectedDevice.hw_rev) : '');
+    if (!entered?.trim()) return;
+    const board = normalizeBoardName(entered.trim());
+
+    const wasm = await wasmReady;
+    let known = false;
+    try {
+        known = !!wasm.board_info(board);
+    } catch {
+        // Not a board the WASM knows
+    }
+    if (!known) {
+        alert('Unknown board: ' + board);
+        return;
+    }
+    const typed = prompt('Write board identity\n\n' +
+                         'Type ' + board + ' again to write it to this One ROM\'s OTP. ' +
+                         'This cannot be undone.');
+    if (typed === null) return;
+    const confirmation = normalizeBoardName(typed.trim());
+    if (confirmation !== board) {
+        alert('The board names do not match, so nothing has been written.');
+        return;
+    }
+
+    const writeBtn = document.getElementById('writeIdentityBtn');
+    writeBtn.disabled = true;
+    deviceBusy = true;
+    try {
+        await dfu.connect(false);
+
+        // OTP is written from the bootloader
+        if (dfu.isRunMode() && !await dfu.rebootAndReconnect(true)) {
+            throw new Error('One ROM has been stopped, but cannot reconnect automatically.  ' +
+                            'Press Connect to re-connect manually, then try again.');
+        }
+
+        await dfu.writeBoardIdentity(board, { confirmation });
+        await readAndDisplayDeviceInfo();
+        document.getElementById('connectBtn').textContent = 'Reconnect';
+    } catch (error) {
+        alert('Failed to write board identity: ' + (error.message || error));
+    } finally {
+        try {
+            await dfu.disconnect();
+        } catch (e) {
+            // Ignore disconnect errors
+        }
+        deviceBusy = false;
+        writeBtn.disabled = false;
+        DeviceList.refresh();
+    }
+}
+
+document.getElementById('writeIdentityBtn').addEventListener('click', writeBoardIdentity);
+
+// The plugins and ROMs lines of the device panel. Both mark the active entry on
+// a running device, so the live monitor redraws them as that changes.
+function displayRomsAndPlugins(summary) {
+    // Plugins get their own line, shown only when present. The active entry
+    // (running devices only) is marked. The labels are the raw image
+    // sources at first; upgradePluginLabels then replaces them with friendly
+    // names (manifest display name for official plugins, file stem for
+    // local ones) as those resolve - best-effort, non-blocking.
+    const pluginsRow = document.getElementById('devicePluginsRow');
+    const pluginsEl = document.getElementById('devicePlugins');
+    if (summary.plugins.length > 0) {
+        pluginsEl.textContent = summary.plugins.map(formatRomEntry).join(', ');
+        pluginsRow.classList.remove('hidden');
+        // Fire-and-forget: enhance the labels in the background. A slow or
+        // failed manifest fetch simply leaves the raw label in place.
+        upgradePluginLabels(summary.plugins, pluginsEl);
+    } else {
+        pluginsRow.classList.add('hidden');
+    }
+
+    // ROMs line, truncated to the first three.
+    const romLabels = summary.roms.map(formatRomEntry);
+    if (romLabels.length === 0) {
+        document.getElementById('deviceConfig').textContent = 'No ROMs';
+    } else if (romLabels.length <= 3) {
+        document.getElementById('deviceConfig').textContent = romLabels.join(', ');
+    } else {
+        document.getElementById('deviceConfig').textContent =
+            `${romLabels.slice(0, 3).join(', ')} (+${romLabels.length - 3} more)`;
+    }
+}
+
+// The details pane: everything the parser found, runtime state included.
+function displayDetailsPane(summary) {
+    // Details pane: the full parse, pretty-printed. Its shape differs by
+    // format (Original vs Schema) - render whatever the dump contains.
+    try {
+        document.getElementById('deviceDetailsContent').textContent =
+            JSON.stringify(JSON.parse(summary.dump), null, 2);
+    } catch {
+        document.getElementById('deviceDetailsContent').textContent = summary.dump;
+    }
+}
+
+async function readAndDisplayDeviceInfo() {
+    // Whatever is shown is about to be replaced by a fresh read
+    setDeviceStale(false);
+    LiveMonitor.withdraw();
+
+    try {
+        // Ice flash protection first: under read-out protection the flash
+        // cannot be read at all, so there would be nothing to parse.
+        const protection = await displayProtection();
+
+        // Before the early returns below: a blank board is exactly the one a
+        // factory writes its identity to
+        await displayBoardIdentity();
+
+        if (protection?.rdpLevel > 0) {
+            await applyDetectedMcu();
+            displayUninterpretableFirmware('✘ - Read-out protected (level ' + protection.rdpLevel + ')');
+            updateDeviceButtons();
+            return;
+        }
+
+        const { summary, firmwareData } = await readAndParseDevice({
+            onPhase: (phase) => { connectBtn.textContent = phase; },
+            onProgress: (percent) => { connectProgressBar.value = percent; }
+        });
+
+        // Identify the MCU from the hardware as well. Before the early returns
+        // below: a blank chip is exactly when the firmware cannot say.
+        await applyDetectedMcu();
+
+        // Flash read, but the contents could not be parsed at all.
+        if (summary === null) {
+            displayUninterpretableFirmware('✘ - Unrecognized firmware');
+            updateDeviceButtons();
+            return;
+        }
+
+        // No version means this is not recognisable One ROM firmware. Tell a
+        // blank (all-0xFF) chip apart from unrecognised contents.
+        if (!summary.version) {
+            const allFF = firmwareData.every(byte => byte === 0xFF);
+            displayUninterpretableFirmware(allFF
+                ? '✘ - No firmware (blank/erased chip)'
+                : '✘ - Unrecognized firmware');
+            updateDeviceButtons();
+            return;
+        }
+
+        // Status: a corrupt parse overrides everything; otherwise the run state
+        // comes from the USB interface (authoritative), not the parse.
+        document.getElementById('deviceStatus').textContent = summary.corrupt
+            ? '⚠ - One ROM firmware corrupt'
+            : '✔ - One ROM firmware good (' + (dfu.isRunMode() ? 'Running' : 'Stopped') + ')';
+
+        document.getElementById('deviceVersion').textContent = summary.version;
+        document.getElementById('deviceMcu').textContent = summary.mcu || 'Unknown';
+        document.getElementById('devicePcbRevision').textContent = summary.hw_rev || 'Unknown';
+
+        displayRomsAndPlugins(summary);
+
+        // Store for pre-population of the programming tabs. canRun comes straight
+        // from the WASM (has the USB system plugin) rather than being re-derived
+        // here.
         //
         // Not gated on a clean parse: errors are recorded per section, so a
         // device whose ROM sets failed to parse can still have reported its
@@ -2576,19 +3268,13 @@ async function readAndDisplayDeviceInfo() {
         document.getElementById('deviceSummary').classList.remove('hidden');
         document.getElementById('deviceDetails').classList.remove('hidden');
 
-        // Details pane: the full parse, pretty-printed. Its shape differs by
-        // format (Original vs Schema) - render whatever the dump contains.
-        try {
-            document.getElementById('deviceDetailsContent').textContent =
-                JSON.stringify(JSON.parse(summary.dump), null, 2);
-        } catch {
-            document.getElementById('deviceDetailsContent').textContent = summary.dump;
-        }
+        displayDetailsPane(summary);
+
+        // A running Fire's runtime can be watched live
+        LiveMonitor.offer(firmwareData);
 
         updateDeviceButtons();
     } finally {
-        // Always restore the original handler
-        window.dfuProgressHandler = originalProgressHandler;
         connectProgressBar.value = 0;
     }
 }
@@ -2634,6 +3320,974 @@ async function upgradePluginLabels(plugins, element) {
     element.textContent = labels.join(', ');
 }
 
+// Backups taken before programming, with Download, Restore and Delete for each.
+const BackupPanel = {
+    async refresh() {
+        let records;
+        try {
+            records = await listBackups();
+        } catch (error) {
+            console.warn('Failed to list backups:', error);
+            records = [];
+        }
+        this.render(records);
+    },
+
+    render(records) {
+        const panel = document.getElementById('backupsPanel');
+        const rows = document.getElementById('backupsRows');
+        rows.replaceChildren();
+
+        panel.classList.toggle('hidden', records.length === 0);
+
+        for (const record of records) {
+            const row = document.createElement('div');
+            row.className = 'backup-row';
+
+            const describe = [record.model, record.hwRev, record.version].filter(Boolean).join(' ');
+            const text = document.createElement('span');
+            text.textContent = `${new Date(record.timestamp).toLocaleString()} - serial ${record.serial}` +
+                (describe ? ` - ${describe}` : '') +
+                ` - ${Math.round(record.data.length / 1024)} KB`;
+
+            row.append(text,
+                this.button('Download', () => this.download(record)),
+                this.button('Restore', () => this.restore(record)),
+                this.button('Delete', () => this.delete(record)));
+            rows.appendChild(row);
+        }
+    },
+
+    button(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'file-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    download(record) {
+        const url = URL.createObjectURL(new Blob([record.data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = backupFileName(record);
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    restore(record) {
+        if (deviceInUse()) return;
+        if (!confirm('Restore backup\n\n' +
+                     'This will overwrite One ROM ' + record.serial + ' with the backup taken ' +
+                     new Date(record.timestamp).toLocaleString() + '.\n\nContinue?')) {
+            return;
+        }
+        startUpdate({ source: { data: record.data, mcu: record.mcu, serial: record.serial } });
+    },
+
+    async delete(record) {
+        if (!confirm('Delete the backup taken ' + new Date(record.timestamp).toLocaleString() + '?')) {
+            return;
+        }
+        await deleteBackup(record.serial, record.timestamp);
+        this.refresh();
+    }
+};
+
+BackupPanel.refresh();
+
+// Copy one One ROM onto another, for a second machine. The source board's whole
+// image is read first; then, with the source swapped out for the other board or
+// the other board chosen in the device list, the image is programmed onto it
+// through startUpdate - so it meets the same checks as any other image,
+// validateFirmware and the MCU and board checks included. A destination of a
+// different board revision is flagged by the board check, before anything is
+// written, and the image is verified once it is.
+const Clone = {
+    // { image, summary, serial } of the board being copied, once read
+    source: null,
+
+    setStatus(text) {
+        document.getElementById('cloneStatus').textContent = text;
+    },
+
+    async readSource() {
+        if (deviceInUse()) return;
+
+        const button = document.getElementById('cloneReadBtn');
+        button.disabled = true;
+        deviceBusy = true;
+        try {
+            await dfu.connect(false);
+            const { summary, image } = await readDeviceImage({
+                onPhase: () => this.setStatus('Reading source board'),
+                onProgress: setProgramProgress
+            });
+            this.source = { image, summary, serial: dfu.getSerialNumber() };
+            this.setStatus(`Source: ${summary.hw_rev || summary.model} ${summary.mcu || ''}, ` +
+                `firmware ${summary.version}, serial ${this.source.serial || 'unknown'} ` +
+                `(${Math.round(image.length / 1024)} KB). Plug in or choose the board to ` +
+                'clone onto, then press Clone.');
+            document.getElementById('cloneBtn').disabled = false;
+        } catch (error) {
+            console.error('Reading clone source failed:', error);
+            this.setStatus('');
+            alert('Failed to read the board to clone: ' + (error.message || error));
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceBusy = false;
+            button.disabled = false;
+        }
+    },
+
+    // Make the board to clone onto the target, if the source still is. The one
+    // other One ROM attached is chosen without asking; with several the user
+    // must say which, and with none the picker is shown - which is why this
+    // runs straight from the click, while it still counts as user activation.
+    async chooseDestination() {
+        const sourceSerial = this.source.serial;
+        if (sourceSerial && dfu.targetSerial === sourceSerial) {
+            const others = (await dfu.listDevices())
+                .filter(device => device.serialNumber !== sourceSerial);
+            if (others.length > 1) {
+                throw new Error('choose the board to clone onto from the attached One ROMs first');
+            }
+            if (others.length === 1) {
+                await dfu.selectDevice(others[0].usbDevice);
+            } else {
+                await dfu.connect(true);
+                await dfu.disconnect();
+            }
+        }
+        if (sourceSerial && dfu.targetSerial === sourceSerial) {
+            throw new Error('that is the board being cloned - choose a different one');
+        }
+    },
+
+    async clone() {
+        if (deviceInUse() || !this.source) return;
+
+        deviceBusy = true;
+        try {
+            await this.chooseDestination();
+        } catch (error) {
+            if (error.message !== 'No device selected') {
+                alert('Cannot clone: ' + (error.message || error));
+            }
+            return;
+        } finally {
+            deviceBusy = false;
+        }
+
+        await startUpdate({ source: { data: this.source.image, mcu: this.source.summary.mcu } });
+    }
+};
+
+document.getElementById('cloneReadBtn').addEventListener('click', () => Clone.readSource());
+document.getElementById('cloneBtn').addEventListener('click', () => Clone.clone());
+
+// Check what is on a board against an image - a local file, or whatever the
+// active tab would program. The same length is read from the board and the two
+// compared byte for byte, listing the ranges that differ; then both are parsed
+// and their fields compared, so that a difference can be put down to the
+// version, board, MCU, ROMs or plugins rather than only said to exist.
+//
+// The board's side is parsed as an image, like the file's, so neither has a
+// runtime - which ROM is active is not a difference in what is stored.
+const Compare = {
+    // Ranges listed before the rest are only counted
+    MAX_RANGES: 20,
+
+    async compareFile() {
+        const input = document.getElementById('compareFileInput');
+        if (!input.files || input.files.length === 0) {
+            alert('Choose a file to compare with first');
+            return;
+        }
+        await this.compare(async () => {
+            return toFlatImage(await input.files[0].arrayBuffer()).image;
+        });
+    },
+
+    async compareTab() {
+        await this.compare(async () => (await retrieveTabImage()).fileArr);
+    },
+
+    async compare(getImage) {
+        if (deviceInUse()) return;
+
+        const output = document.getElementById('compareResult');
+        deviceBusy = true;
+        try {
+            output.textContent = 'Retrieving image';
+            const image = new Uint8Array(await getImage());
+            if (image.length === 0) {
+                throw new Error('the image is empty');
+            }
+
+            output.textContent = 'Reading One ROM';
+            await dfu.connect(false);
+            const base = dfu.getFlashBase();
+            const device = await uploadWithProgress(image.length, { onProgress: setProgramProgress });
+
+            const [deviceSummary, imageSummary] = await Promise.all([
+                parseFirmwareImage(device),
+                parseFirmwareImage(image)
+            ]);
+
+            output.textContent = [
+                ...this.describeRanges(this.differingRanges(device, image), base, image.length),
+                '',
+                ...this.describeFields(deviceSummary, imageSummary)
+            ].join('\n');
+        } catch (error) {
+            console.error('Compare failed:', error);
+            output.textContent = 'Compare failed: ' + (error.message || error);
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceBusy = false;
+        }
+    },
+
+    // Each run of differing bytes as { start, end }, offsets into the image
+    differingRanges(a, b) {
+        const ranges = [];
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) continue;
+            const start = i;
+            while (i < a.length && a[i] !== b[i]) {
+                i++;
+            }
+            ranges.push({ start, end: i });
+        }
+        return ranges;
+    },
+
+    describeRanges(ranges, base, length) {
+        const hex = (value) => '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+        if (ranges.length === 0) {
+            return [`Identical: all ${length} bytes match`];
+        }
+
+        const differing = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+        const lines = [`Different: ${differing} of ${length} bytes differ, in ${ranges.length} ` +
+                       `range${ranges.length === 1 ? '' : 's'}`];
+        for (const range of ranges.slice(0, this.MAX_RANGES)) {
+            lines.push(`  ${hex(base + range.start)} - ${hex(base + range.end - 1)} ` +
+                       `(${range.end - range.start} bytes)`);
+        }
+        if (ranges.length > this.MAX_RANGES) {
+            lines.push(`  ... and ${ranges.length - this.MAX_RANGES} more`);
+        }
+        return lines;
+    },
+
+    describeFields(deviceSummary, imageSummary) {
+        if (!deviceSummary?.version || !imageSummary?.version) {
+            return [
+                'One ROM: ' + (deviceSummary?.version ? 'One ROM firmware' : 'not recognisable One ROM firmware'),
+                'Image: ' + (imageSummary?.version ? 'One ROM firmware' : 'not recognisable One ROM firmware')
+            ];
+        }
+
+        const labels = (entries) => entries.map(entry => entry.label);
+        const fields = [
+            ['Version', deviceSummary.version, imageSummary.version],
+            ['Board', deviceSummary.hw_rev, imageSummary.hw_rev],
+            ['MCU', deviceSummary.mcu, imageSummary.mcu],
+            ['ROMs', labels(deviceSummary.roms), labels(imageSummary.roms)],
+            ['Plugins', labels(deviceSummary.plugins), labels(imageSummary.plugins)]
+        ];
+
+        const lines = ['Field         One ROM / Image'];
+        for (const [name, onDevice, inImage] of fields) {
+            const deviceText = Array.isArray(onDevice) ? onDevice.join(', ') || 'None' : onDevice || 'Unknown';
+            const imageText = Array.isArray(inImage) ? inImage.join(', ') || 'None' : inImage || 'Unknown';
+            lines.push(deviceText === imageText
+                ? `${name.padEnd(14)}same: ${deviceText}`
+                : `${name.padEnd(14)}DIFFERENT: ${deviceText} / ${imageText}`);
+        }
+        if (deviceSummary.corrupt) {
+            lines.push('One ROM parse errors: ' + deviceSummary.parse_errors.join('; '));
+        }
+        if (imageSummary.corrupt) {
+            lines.push('Image parse errors: ' + imageSummary.parse_errors.join('; '));
+        }
+        return lines;
+    }
+};
+
+document.getElementById('compareFileBtn').addEventListener('click', () => Compare.compareFile());
+document.getElementById('compareTabBtn').addEventListener('click', () => Compare.compareTab());
+
+// Erase a board, and check that it is blank - for boards being refurbished or
+// sold on. Either covers the whole flash (Ice only: a Fire's flash size cannot
+// be read over USB) or just the One ROM image on it - firmware, metadata and
+// ROMs - as long as imageExtent() says it is.
+//
+// Where how long the image is cannot be told, the most an image can take
+// stands in for it. An erase that would cover more than the image says so, and
+// how much, before anything is erased.
+//
+// Both report progress on the panel's own bar, and can be cancelled from it.
+const FlashErase = {
+    MAX_RANGES: 20,
+
+    controller: null,
+
+    setStatus(text) {
+        document.getElementById('eraseStatus').textContent = text;
+    },
+
+    // How much of the connected board's flash the chosen scope covers, as
+    // { length, exact } - exact false where the One ROM image's length could
+    // not be told (see imageExtent())
+    async extent(scope, { signal }) {
+        if (scope === 'whole') {
+            if (dfu.getDeviceType() !== 'Ice') {
+                throw new Error('the whole of a One ROM Fire\'s flash cannot be erased or checked, ' +
+                                'as its size cannot be read over USB - choose One ROM image instead');
+            }
+            return { length: dfu.getFlashSize(), exact: true };
+        }
+
+        const { summary } = await readAndParseDevice({
+            onPhase: () => this.setStatus('Reading One ROM'),
+            signal
+        });
+        return imageExtent(summary);
+    },
+
+    // Run an erase or blank check with the panel's progress bar, status and
+    // Cancel button standing in for the Program button's
+    async run(operation) {
+        if (deviceInUse()) return;
+
+        const buttons = ['eraseBtn', 'blankCheckBtn'].map(id => document.getElementById(id));
+        const cancel = document.getElementById('eraseCancelBtn');
+        const progress = document.getElementById('eraseProgressBar');
+        const stopFollowing = followProgrammer({
+            onPhase: (phase) => this.setStatus(phase),
+            onProgress: (percent) => { progress.value = percent; }
+        });
+
+        buttons.forEach(button => button.disabled = true);
+        this.controller = new AbortController();
+        cancel.classList.remove('hidden');
+        deviceBusy = true;
+        try {
+            await dfu.connect(false);
+            await operation(this.controller.signal);
+        } catch (error) {
+            if (this.controller.signal.aborted) {
+                this.setStatus('Cancelled');
+            } else {
+                console.error('Erase or blank check failed:', error);
+                this.setStatus('Failed: ' + (error.message || error));
+            }
+        } finally {
+            stopFollowing();
+            progress.value = 0;
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceBusy = false;
+            this.controller = null;
+            cancel.classList.add('hidden');
+            buttons.forEach(button => button.disabled = false);
+            DeviceList.refresh();
+        }
+    },
+
+    async erase() {
+        const scope = document.getElementById('eraseScope').value;
+        if (!confirm('Erase One ROM\n\n' +
+                     (scope === 'whole'
+                         ? 'This will erase the whole of One ROM\'s flash.'
+                         : 'This will erase the firmware, metadata and ROMs from One ROM.') +
+                     '  It will not work again until it is programmed.\n\nContinue?')) {
+            return;
+        }
+
+        await this.run(async (signal) => {
+            const { length, exact } = await this.extent(scope, { signal });
+            if (!exact) {
+                const base = dfu.getFlashBase();
+                const hex = (value) => '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+                if (!confirm('Erase One ROM\n\n' +
+                             'How long the One ROM image on this board is cannot be told, so ' +
+                             `erasing it means erasing the first ${length / 1024} KB of flash ` +
+                             `(${hex(base)} - ${hex(base + length - 1)}): the most an image ` +
+                             'can take.\n\nErase that much?')) {
+                    this.setStatus('Cancelled');
+                    return;
+                }
+            }
+
+            // Erasing needs the bootloader, as programming does
+            if (dfu.isRunMode()) {
+                this.setStatus('Stopping');
+                if (!await dfu.rebootAndReconnect(true, { signal })) {
+                    throw new Error('One ROM has been stopped, but cannot reconnect automatically.  ' +
+                                    'Press Connect to re-connect manually, then Erase again.');
+                }
+            }
+
+            await dfu.erase(length, { signal });
+
+            // Check it took, then show the board as it now is
+            const ranges = await dfu.blankCheck(length, { signal });
+            this.report(ranges, length, 'Erased');
+            await readAndDisplayDeviceInfo();
+            document.getElementById('connectBtn').textContent = 'Reconnect';
+        });
+    },
+
+    async blankCheck() {
+        const scope = document.getElementById('eraseScope').value;
+        await this.run(async (signal) => {
+            const { length } = await this.extent(scope, { signal });
+            this.report(await dfu.blankCheck(length, { signal }), length, 'Checked');
+        });
+    },
+
+    report(ranges, length, done) {
+        const hex = (value) => '0x' + value.toString(16).toUpperCase().padStart(8, '0');
+        const base = dfu.getFlashBase();
+        const lines = [];
+        if (ranges.length === 0) {
+            lines.push(`${done} ${length} bytes from ${hex(base)}: blank`);
+        } else {
+            const notBlank = ranges.reduce((sum, range) => sum + range.length, 0);
+            lines.push(`${done} ${length} bytes from ${hex(base)}: NOT blank - ` +
+                       `${notBlank} bytes are not 0xFF, in ${ranges.length} ` +
+                       `range${ranges.length === 1 ? '' : 's'}`);
+            for (const range of ranges.slice(0, this.MAX_RANGES)) {
+                lines.push(`  ${hex(base + range.offset)} - ${hex(base + range.offset + range.length - 1)} ` +
+                           `(${range.length} bytes)`);
+            }
+            if (ranges.length > this.MAX_RANGES) {
+                lines.push(`  ... and ${ranges.length - this.MAX_RANGES} more`);
+            }
+        }
+        this.setStatus('');
+        document.getElementById('eraseResult').textContent = lines.join('\n');
+    }
+};
+
+document.getElementById('eraseBtn').addEventListener('click', () => FlashErase.erase());
+document.getElementById('blankCheckBtn').addEventListener('click', () => FlashErase.blankCheck());
+document.getElementById('eraseCancelBtn').addEventListener('click', () => FlashErase.controller?.abort());
+
+// A developer's view of device memory: a paged hex and ASCII dump of any
+// address range, saved to a file if wanted. On a running Fire the range can be
+// re-read every second, to watch RAM change.
+//
+// Each read connects and lets go again, like Connect, so the inspector never
+// holds the device while the rest of the page wants it - and skips a refresh
+// while anything else is using it.
+const MemoryInspector = {
+    BYTES_PER_LINE: 16,
+    BYTES_PER_PAGE: 512,
+    REFRESH_INTERVAL_MS: 1000,
+    MAX_LENGTH: 1024 * 1024,
+
+    data: null,
+    address: 0,
+    page: 0,
+    refreshTimer: null,
+
+    // Addresses are hex, with or without 0x. Lengths are decimal unless
+    // written with 0x.
+    parseInput() {
+        const addressText = document.getElementById('memoryAddress').value.trim();
+        const lengthText = document.getElementById('memoryLength').value.trim();
+        const address = parseInt(addressText.replace(/^0x/i, ''), 16);
+        const length = /^0x/i.test(lengthText) ? parseInt(lengthText, 16) : parseInt(lengthText, 10);
+
+        if (!/^(0x)?[0-9a-f]{1,8}$/i.test(addressText) || isNaN(address)) {
+            throw new Error('Address must be hex, e.g. 0x20000000');
+        }
+        if (isNaN(length) || length <= 0 || length > this.MAX_LENGTH) {
+            throw new Error('Length must be between 1 and ' + this.MAX_LENGTH + ' bytes');
+        }
+        return { address, length };
+    },
+
+    async read({ quiet = false } = {}) {
+        if (deviceInUse()) return;
+
+        deviceReading = true;
+        try {
+            const { address, length } = this.parseInput();
+            await dfu.connect(false);
+            this.data = await dfu.readMemory(address, length);
+            this.address = address;
+            this.page = Math.min(this.page, this.pageCount() - 1);
+            this.render();
+            document.getElementById('memorySaveBtn').disabled = false;
+            document.getElementById('memoryRefresh').disabled =
+                !(dfu.getDeviceType() === 'Fire' && dfu.isRunMode());
+        } catch (error) {
+            this.setRefresh(false);
+            if (!quiet) {
+                alert('Failed to read memory: ' + (error.message || error));
+            }
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceReading = false;
+        }
+    },
+
+    pageCount() {
+        return Math.max(1, Math.ceil((this.data?.length ?? 0) / this.BYTES_PER_PAGE));
+    },
+
+    render() {
+        const lines = [];
+        const start = this.page * this.BYTES_PER_PAGE;
+        const end = Math.min(start + this.BYTES_PER_PAGE, this.data.length);
+
+        for (let offset = start; offset < end; offset += this.BYTES_PER_LINE) {
+            const bytes = this.data.subarray(offset, Math.min(offset + this.BYTES_PER_LINE, end));
+            const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+            const ascii = Array.from(bytes, b => (b >= 0x20 && b < 0x7f) ? String.fromCharCode(b) : '.').join('');
+            lines.push((this.address + offset).toString(16).toUpperCase().padStart(8, '0') + '  ' +
+                       hex.padEnd(this.BYTES_PER_LINE * 3 - 1) + '  |' + ascii + '|');
+        }
+
+        document.getElementById('memoryDump').textContent = lines.join('\n');
+        document.getElementById('memoryPage').textContent = `Page ${this.page + 1} of ${this.pageCount()}`;
+        document.getElementById('memoryPrevBtn').disabled = this.page === 0;
+        document.getElementById('memoryNextBtn').disabled = this.page >= this.pageCount() - 1;
+    },
+
+    turnPage(delta) {
+        if (!this.data) return;
+        this.page = Math.max(0, Math.min(this.page + delta, this.pageCount() - 1));
+        this.render();
+    },
+
+    save() {
+        if (!this.data) return;
+        const end = this.address + this.data.length;
+        const url = URL.createObjectURL(new Blob([this.data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `onerom-memory-${this.address.toString(16).padStart(8, '0')}-` +
+                        `${end.toString(16).padStart(8, '0')}.bin`;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+    // Re-reading is only offered for a running Fire: nothing else has memory
+    // that changes by itself. A failed read stops it.
+    setRefresh(on) {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        document.getElementById('memoryRefresh').checked = on;
+        if (on) {
+            this.refreshTimer = setInterval(() => this.read({ quiet: true }), this.REFRESH_INTERVAL_MS);
+        }
+    }
+};
+
+document.getElementById('memoryReadBtn').addEventListener('click', () => MemoryInspector.read());
+document.getElementById('memorySaveBtn').addEventListener('click', () => MemoryInspector.save());
+document.getElementById('memoryPrevBtn').addEventListener('click', () => MemoryInspector.turnPage(-1));
+document.getElementById('memoryNextBtn').addEventListener('click', () => MemoryInspector.turnPage(1));
+document.getElementById('memoryRefresh').addEventListener('change', function() {
+    MemoryInspector.setRefresh(this.checked);
+});
+
+// Live mode for a running Fire: re-parse the firmware read at Connect every
+// second, with the parser following its runtime pointers into RAM afresh each
+// time, and redraw the parts of the device panel the runtime decides - which
+// ROM set and plugin are active, and the runtime state in the details pane.
+//
+// Only RAM is re-read: the flash cannot change under a running device, so the
+// image from Connect stands. Like the memory inspector, each poll connects and
+// lets go again, and a poll is skipped while anything else has the device. It
+// stops by itself when the device is no longer running, or a read fails.
+const LiveMonitor = {
+    INTERVAL_MS: 1000,
+
+    firmwareData: null,
+    timer: null,
+    lastDump: null,
+
+    // Offer live mode for the device just read, if it is a running Fire
+    offer(firmwareData) {
+        const running = dfu.getDeviceType() === 'Fire' && dfu.isRunMode();
+        this.firmwareData = running ? firmwareData : null;
+        document.getElementById('deviceLiveRow').classList.toggle('hidden', !running);
+    },
+
+    // Stop, and take the offer away until the next read
+    withdraw() {
+        this.stop();
+        this.firmwareData = null;
+        document.getElementById('deviceLiveRow').classList.add('hidden');
+    },
+
+    start() {
+        if (!this.firmwareData) return;
+        this.stop();
+        this.lastDump = null;
+        document.getElementById('deviceLive').checked = true;
+        this.timer = setInterval(() => this.poll(), this.INTERVAL_MS);
+    },
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        document.getElementById('deviceLive').checked = false;
+    },
+
+    async poll() {
+        if (deviceInUse() || !this.timer) return;
+
+        deviceReading = true;
+        try {
+            await dfu.connect(false);
+            if (!dfu.isRunMode()) {
+                this.stop();
+                return;
+            }
+
+            // A failed RAM read is fatal here, unlike at Connect: the parser
+            // would carry on without the runtime, and the panel would quietly
+            // show a device with nothing active.
+            let ramError = null;
+            const readCb = (addr, len) => dfu.readMemory(addr, len).catch(error => {
+                ramError = error;
+                throw error;
+            });
+            const summary = await parse_firmware(this.firmwareData, readCb);
+            if (ramError) {
+                throw ramError;
+            }
+
+            // Redraw only what changed, so labels and scroll position hold
+            if (summary.dump !== this.lastDump) {
+                this.lastDump = summary.dump;
+                displayRomsAndPlugins(summary);
+                displayDetailsPane(summary);
+            }
+        } catch (error) {
+            console.warn('Live monitor stopped:', error);
+            this.stop();
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceReading = false;
+        }
+    }
+};
+
+document.getElementById('deviceLive').addEventListener('change', function() {
+    if (this.checked) {
+        LiveMonitor.start();
+    } else {
+        LiveMonitor.stop();
+    }
+});
+
+// The boot log of a running Fire built with boot_logging, streamed into a
+// console pane from the firmware's RTT buffer (see rttLog.js).
+//
+// The control block is searched for once, when the viewer starts - it takes a
+// few seconds, as it means reading through RAM - and then followed. If it
+// disappears, the firmware has restarted, and the viewer stops rather than
+// searching again on its own. Polls connect and let go like the live monitor,
+// and are skipped while anything else has the device.
+const BootLog = {
+    INTERVAL_MS: 500,
+    MAX_DISPLAY_CHARS: 200 * 1024,
+
+    reader: null,
+    decoder: null,
+    text: '',
+    timer: null,
+
+    async start() {
+        if (deviceInUse()) return;
+
+        const button = document.getElementById('bootLogStartBtn');
+        const status = document.getElementById('bootLogStatus');
+        button.disabled = true;
+        deviceReading = true;
+        try {
+            await dfu.connect(false);
+            if (!(dfu.getDeviceType() === 'Fire' && dfu.isRunMode())) {
+                throw new Error('The boot log can only be read from a running One ROM Fire');
+            }
+
+            status.textContent = 'Searching RAM for the log...';
+            const read = (addr, len) => dfu.readMemory(addr, len);
+            const write = (addr, bytes) => dfu.writeMemory(addr, bytes);
+            const controlBlock = await findRttControlBlock(read, {
+                onProgress: (percent) => {
+                    status.textContent = `Searching RAM for the log... ${Math.round(percent)}%`;
+                }
+            });
+            if (controlBlock === null) {
+                throw new Error('No log found - was this firmware built with boot logging?');
+            }
+
+            this.reader = new RttReader(read, write, controlBlock);
+            this.decoder = new TextDecoder('utf-8');
+            status.textContent = 'Log at 0x' + controlBlock.toString(16).toUpperCase();
+            button.textContent = 'Stop';
+            this.timer = setInterval(() => this.poll(), this.INTERVAL_MS);
+        } catch (error) {
+            status.textContent = '';
+            alert('Failed to start the boot log: ' + (error.message || error));
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceReading = false;
+            button.disabled = false;
+        }
+        this.poll();
+    },
+
+    stop(reason = '') {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.reader = null;
+        document.getElementById('bootLogStartBtn').textContent = 'Start';
+        if (reason) {
+            document.getElementById('bootLogStatus').textContent = reason;
+        }
+    },
+
+    async poll() {
+        if (deviceInUse() || !this.reader) return;
+
+        deviceReading = true;
+        try {
+            await dfu.connect(false);
+            if (!dfu.isRunMode()) {
+                this.stop('Stopped: One ROM is no longer running');
+                return;
+            }
+            const data = await this.reader.poll();
+            if (data.length > 0) {
+                this.append(this.decoder.decode(data, { stream: true }));
+            }
+            if (this.reader.full) {
+                this.append('\n[The log buffer filled up, so some of the log may be missing]\n');
+            }
+        } catch (error) {
+            console.warn('Boot log stopped:', error);
+            this.stop('Stopped: ' + (error.message || error));
+        } finally {
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+            deviceReading = false;
+        }
+    },
+
+    // Add to the log, keeping the pane scrolled to the bottom if it was there.
+    // The pane shows only the most recent part of a long log; Save has it all.
+    append(newText) {
+        this.text += newText;
+        const pane = document.getElementById('bootLogConsole');
+        const atBottom = pane.scrollTop + pane.clientHeight >= pane.scrollHeight - 4;
+        pane.textContent = this.text.slice(-this.MAX_DISPLAY_CHARS);
+        if (atBottom) {
+            pane.scrollTop = pane.scrollHeight;
+        }
+    },
+
+    clear() {
+        this.text = '';
+        document.getElementById('bootLogConsole').textContent = '';
+    },
+
+    save() {
+        const url = URL.createObjectURL(new Blob([this.text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `onerom-boot-log-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+};
+
+document.getElementById('bootLogStartBtn').addEventListener('click', () => {
+    if (BootLog.reader) {
+        BootLog.stop();
+    } else {
+        BootLog.start();
+    }
+});
+document.getElementById('bootLogClearBtn').addEventListener('click', () => BootLog.clear());
+document.getElementById('bootLogSaveBtn').addEventListener('click', () => BootLog.save());
+
+// The list of every attached One ROM, and which of them is the target.
+//
+// Lists only devices already authorised on this origin - getDevices() cannot
+// see any others - so a board plugged in for the first time appears once it has
+// been chosen through Connect's picker. Choosing a row pins every following
+// operation to that board's serial (see UnifiedProgrammer.selectDevice), then
+// reads it, as Connect would.
+const DeviceList = {
+    devices: [],
+
+    async refresh() {
+        try {
+            this.devices = await dfu.listDevices();
+        } catch (error) {
+            console.warn('Failed to list devices:', error);
+            this.devices = [];
+        }
+        this.render();
+    },
+
+    render() {
+        const panel = document.getElementById('deviceList');
+        const rows = document.getElementById('deviceListRows');
+        rows.replaceChildren();
+
+        panel.classList.toggle('hidden', this.devices.length === 0);
+
+        this.devices.forEach((device, index) => {
+            const row = document.createElement('label');
+            row.className = 'device-list-row';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'deviceListTarget';
+            radio.checked = device.isTarget;
+            radio.addEventListener('change', () => this.select(index));
+
+            const text = document.createElement('span');
+            text.textContent = `${device.model} - ${device.mode} (${device.usbId}) - ` +
+                (device.serialNumber ? `serial ${device.serialNumber}` : 'no serial');
+
+            row.append(radio, text);
+            rows.appendChild(row);
+        });
+    },
+
+    async select(index) {
+        // Switching target drops the connection, so not while anything is
+        // using it - put the selection back instead.
+        if (deviceInUse()) {
+            this.render();
+            return;
+        }
+
+        connectBtn.disabled = true;
+        connectProgramButton.disabled = true;
+        deviceBusy = true;
+        try {
+            await dfu.selectDevice(this.devices[index].usbDevice);
+            await dfu.connect(false);
+            await readAndReleaseDevice();
+        } catch (error) {
+            console.error('Error:', error);
+            alert('Failed to connect or read from device: ' + (error.message || error));
+            try {
+                await dfu.disconnect();
+            } catch (e) {
+                // Ignore disconnect errors
+            }
+        } finally {
+            deviceBusy = false;
+            connectBtn.disabled = false;
+            updateProgramButtonForCurrentTab();
+            this.refresh();
+        }
+    }
+};
+
+document.getElementById('deviceListRefreshBtn').addEventListener('click', () => DeviceList.refresh());
+DeviceList.refresh();
+
+// Mark the device panel as out of date, or bring it back. While stale it stays
+// visible - what the board held when it was last read is still worth seeing -
+// but says plainly that it may no longer be true.
+function setDeviceStale(stale) {
+    document.getElementById('deviceSummary').classList.toggle('stale', stale);
+    document.getElementById('deviceStaleRow').classList.toggle('hidden', !stale);
+    document.getElementById('deviceRereadBtn').classList.add('hidden');
+    document.getElementById('deviceStaleText').textContent =
+        'This One ROM has been unplugged, so this may be out of date.';
+}
+
+// Hot-plug. Only a change the page did not cause itself is acted on: Stop, Run
+// and Program reboot the device, and re-read it themselves afterwards.
+dfu.addEventListener('device-left', (event) => {
+    DeviceList.refresh();
+    if (event.detail.isTarget) {
+        LiveMonitor.withdraw();
+        if (BootLog.reader) {
+            BootLog.stop('Stopped: One ROM was unplugged');
+        }
+    }
+    if (deviceBusy || !event.detail.isTarget) return;
+    if (document.getElementById('deviceSummary').classList.contains('hidden')) return;
+    setDeviceStale(true);
+});
+
+dfu.addEventListener('device-arrived', (event) => {
+    DeviceList.refresh();
+    if (deviceBusy || !event.detail.isTarget) return;
+    if (!document.getElementById('deviceSummary').classList.contains('stale')) return;
+    document.getElementById('deviceStaleText').textContent =
+        'This One ROM has been plugged back in, and may have changed.';
+    document.getElementById('deviceRereadBtn').classList.remove('hidden');
+});
+
+// Restarting after programming defaults to on for Fire, which comes back on
+// USB running and is read back, and off for Ice, which cannot be reconnected
+// once restarted - so restarting it skips the read back. A choice the user
+// made themselves is left alone.
+const restartAfterProgram = document.getElementById('restartAfterProgram');
+restartAfterProgram.addEventListener('change', () => {
+    restartAfterProgram.dataset.userSet = 'true';
+});
+dfu.addEventListener('device-changed', (event) => {
+    if (event.detail.connected && !restartAfterProgram.dataset.userSet) {
+        restartAfterProgram.checked = event.detail.deviceType !== 'Ice';
+    }
+});
+
+document.getElementById('deviceRereadBtn').addEventListener('click', async () => {
+    // The list may not have caught up with the device coming back
+    await DeviceList.refresh();
+    const index = DeviceList.devices.findIndex(device => device.isTarget);
+    if (index !== -1) {
+        DeviceList.select(index);
+    }
+});
+
 stopButtons.forEach(btn => btn.addEventListener('click', stopDevice));
 runButtons.forEach(btn => btn.addEventListener('click', runDevice));
 document.getElementById('connectBtn').addEventListener('click', async function() {
@@ -2642,6 +4296,7 @@ document.getElementById('connectBtn').addEventListener('click', async function()
     
     connectBtn.disabled = true;
     connectProgramButton.disabled = true;
+    deviceBusy = true;
 
     try {
         connectBtn.textContent = 'Connecting';
@@ -2670,23 +4325,57 @@ document.getElementById('connectBtn').addEventListener('click', async function()
             // Ignore disconnect errors
         }
     } finally {
+        deviceBusy = false;
         updateProgramButtonForCurrentTab();
         connectBtn.disabled = false;
+
+        // The picker may have authorised a new board, or chosen another target
+        DeviceList.refresh();
     }
 });
 
+// Pass the programmer's phase and progress events to a component's own
+// controls - onPhase(phase) and onProgress(percent, etaSeconds), either left
+// out if not wanted - until the function returned is called. Any number of
+// components can follow at once, each updating only its own controls, so none
+// has to hand the display over to another and take it back after.
+function followProgrammer({ onPhase, onProgress }) {
+    const phaseListener = (event) => onPhase?.(event.detail.phase);
+    const progressListener = (event) => onProgress?.(event.detail.percent, event.detail.etaSeconds);
+    dfu.addEventListener('phase', phaseListener);
+    dfu.addEventListener('progress', progressListener);
+    return () => {
+        dfu.removeEventListener('phase', phaseListener);
+        dfu.removeEventListener('progress', progressListener);
+    };
+}
+
 // Updates the button text. "Connecting", "Erasing", etc.
-window.dfuStatusHandler = function(status) {
+function setProgramStatus(status) {
     connectProgramButton.innerHTML = status;
 }
 
-// Updates the progress bar value. 0 - 100%
-window.dfuProgressHandler = function(value) {
-    progressBar.value = value;
+// Updates the progress bar value. 0 - 100%. etaSeconds is only given by
+// transfers that measure their own throughput (Fire); otherwise it is cleared.
+function setProgramProgress(percent, etaSeconds) {
+    progressBar.value = percent;
+    progressEta.textContent = formatEta(etaSeconds);
+}
+
+// "42s left" / "1:05 left", or nothing when there is no estimate to show.
+function formatEta(etaSeconds) {
+    if (etaSeconds === null || etaSeconds === undefined) {
+        return '';
+    }
+    const seconds = Math.ceil(etaSeconds);
+    if (seconds < 60) {
+        return seconds + 's left';
+    }
+    return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0') + ' left';
 }
 
-// This function is called on a disconnect event
-window.dfuDisconnectHandler = function() {
+// Puts the Program button and progress bar back as they are between operations
+function resetProgramControls() {
 
     // Reset the button back to 'connect'
     connectProgramButton.innerHTML = "Program";
@@ -2696,4 +4385,5 @@ window.dfuDisconnectHandler = function() {
 
     // Reset the progress bar
     progressBar.value = 0;
+    progressEta.textContent = '';
 }
\ No newline at end of file
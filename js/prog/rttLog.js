@@ -0,0 +1,141 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// Reads the boot log of a running Fire built with boot_logging, from its
+// SEGGER RTT control block in RAM - the same buffer an SWD probe would read.
+//
+// Everything goes through two callbacks: read, (addr, len) => Promise<Uint8Array>,
+// and write, (addr, bytes) => Promise, which are UnifiedProgrammer.readMemory
+// and writeMemory in practice. The reader works as an SWD probe does: it reads
+// from the firmware's RdOff up to its WrOff, then writes RdOff back, so the
+// firmware knows that space is free again. Until it is, the buffer fills: by
+// default (NO_BLOCK_SKIP, flags 0) the firmware then drops any write that does
+// not fit, rather than overwriting unread data. A buffer found full is reported,
+// as some of the log is likely to have been lost.
+//
+// Control block layout, all little-endian:
+//   0x00  acID[16]            "SEGGER RTT", NUL padded
+//   0x10  MaxNumUpBuffers
+//   0x14  MaxNumDownBuffers
+//   0x18  aUp[MaxNumUpBuffers], 24 bytes each:
+//           0x00 sName, 0x04 pBuffer, 0x08 SizeOfBuffer,
+//           0x0C WrOff, 0x10 RdOff, 0x14 Flags
+// Up buffer 0 is the terminal the log is written to.
+
+const RTT_MAGIC = 'SEGGER RTT';
+const UP_BUFFERS_OFFSET = 0x18;
+const UP_BUFFER_SIZE = 24;
+
+// RP2350 SRAM, which the control block is somewhere in
+export const RP2350_RAM_BASE = 0x20000000;
+export const RP2350_RAM_SIZE = 520 * 1024;
+
+// How much RAM to read at a time while searching
+const SCAN_CHUNK_SIZE = 4096;
+
+function readU32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) |
+            (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function hasMagic(bytes, offset) {
+    for (let i = 0; i < RTT_MAGIC.length; i++) {
+        if (bytes[offset + i] !== RTT_MAGIC.charCodeAt(i)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Search RAM for an RTT control block. Returns its address, or null if there is
+// none - most likely firmware built without boot logging. Chunks overlap by the
+// length of the magic, so one straddling a chunk boundary is still found.
+export async function findRttControlBlock(read, {
+    start = RP2350_RAM_BASE,
+    length = RP2350_RAM_SIZE,
+    signal,
+    onProgress = () => {}
+} = {}) {
+    const overlap = RTT_MAGIC.length - 1;
+    for (let offset = 0; offset < length; offset += SCAN_CHUNK_SIZE) {
+        signal?.throwIfAborted();
+        const chunkLength = Math.min(SCAN_CHUNK_SIZE + overlap, length - offset);
+        const bytes = await read(start + offset, chunkLength);
+        for (let i = 0; i + RTT_MAGIC.length <= bytes.length; i++) {
+            if (hasMagic(bytes, i)) {
+                return start + offset + i;
+            }
+        }
+        onProgress(Math.min(100, (100 * (offset + SCAN_CHUNK_SIZE)) / length));
+    }
+    return null;
+}
+
+// Follows one RTT up buffer, returning the bytes written to it since the last
+// poll.
+export class RttReader {
+    constructor(read, write, controlBlock, bufferIndex = 0) {
+        this.read = read;
+        this.write = write;
+        this.controlBlock = controlBlock;
+        this.bufferIndex = bufferIndex;
+
+        // Set by a poll that found the buffer full, so the firmware may have
+        // dropped log output
+        this.full = false;
+    }
+
+    // Read new log data, and hand the space it took back to the firmware.
+    // Throws if the control block has gone - the firmware has restarted, or was
+    // never logging - so the caller can stop.
+    async poll() {
+        const header = await this.read(this.controlBlock, UP_BUFFERS_OFFSET);
+        if (!hasMagic(header, 0)) {
+            throw new Error('RTT control block no longer present');
+        }
+        if (this.bufferIndex >= readU32(header, 0x10)) {
+            throw new Error('RTT up buffer ' + this.bufferIndex + ' does not exist');
+        }
+
+        const descriptorAddress =
+            this.controlBlock + UP_BUFFERS_OFFSET + this.bufferIndex * UP_BUFFER_SIZE;
+        const descriptor = await this.read(descriptorAddress, UP_BUFFER_SIZE);
+        const buffer = readU32(descriptor, 0x04);
+        const size = readU32(descriptor, 0x08);
+        const writeOffset = readU32(descriptor, 0x0C);
+        const readOffset = readU32(descriptor, 0x10);
+        if (size === 0 || writeOffset >= size || readOffset >= size) {
+            throw new Error('RTT up buffer is not valid');
+        }
+
+        // Nothing new
+        if (writeOffset === readOffset) {
+            this.full = false;
+            return new Uint8Array(0);
+        }
+
+        // One byte is always left free, so a full buffer has the write offset
+        // just behind the read offset
+        this.full = (writeOffset + 1) % size === readOffset;
+
+        // New data runs to the write offset, or to the end of the buffer and
+        // round from the start when it has wrapped
+        let data;
+        if (writeOffset > readOffset) {
+            data = await this.read(buffer + readOffset, writeOffset - readOffset);
+        } else {
+            const tail = await this.read(buffer + readOffset, size - readOffset);
+            const head = writeOffset > 0 ? await this.read(buffer, writeOffset) : new Uint8Array(0);
+            data = new Uint8Array(tail.length + head.length);
+            data.set(tail, 0);
+            data.set(head, tail.length);
+        }
+
+        // Only once it has been read is the space free for the firmware
+        const newReadOffset = new Uint8Array(4);
+        new DataView(newReadOffset.buffer).setUint32(0, writeOffset, true);
+        await this.write(descriptorAddress + 0x10, newReadOffset);
+        return data;
+    }
+}
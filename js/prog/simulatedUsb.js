@@ -0,0 +1,1310 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// Simulated One ROMs, for running the programmer with no hardware attached -
+// to try it out, demonstrate it, or drive it end to end from a headless
+// browser.
+//
+// Enabled from the URL, naming the boards to attach:
+//
+//     /web/?simulate=ice,fire
+//
+// Each name is one of:
+//   ice[:MCU]      an Ice in its STM32 bootloader, an F411RE unless another
+//                  variant is given, e.g. ice:F446RC
+//   fire           a Fire, stopped (One ROM's bootloader, 1209:f540)
+//   fire-running   a Fire, running (1209:f542)
+//   fire-bootsel   a Fire in the RP2350 bootrom's BOOTSEL mode (2e8a:000f)
+//
+// This replaces navigator.usb itself, and so must load before anything that
+// uses it. Everything above it - usbDfuDevice, the picoboot library and
+// UnifiedProgrammer - then runs unchanged, exactly as it would against real
+// boards: the simulation is of the devices, at the USB level, not of the
+// programmer's own code.
+//
+//  - An Ice is the STM32 system bootloader's DfuSe interface: the DFU state
+//    machine, DNLOAD and UPLOAD through the address pointer, erase by sector
+//    against the chip's real sector map, NOR flash that writes can only clear
+//    bits in, and the option bytes with their read-out and write protection.
+//  - A Fire speaks PICOBOOT over its bulk endpoints, as documented in the
+//    RP2350 datasheet, with flash erased in 4KB sectors, RAM, and OTP. Its
+//    PID switches between stopped and running as it reboots, re-enumerating
+//    as a new USBDevice each time, as a real board does.
+//
+// Permissions are modelled as Chrome's are: a grant is for one VID, PID and
+// serial, so a Fire that reboots into a mode this origin has not seen is not
+// returned by getDevices() - see note 7 in programmer.js. Every mode of every
+// simulated board starts out granted, so that a headless browser never needs
+// a picker; add simulate-grants=none to the URL to start with none. The
+// picker is simulated too, choosing the first matching device.
+//
+// What is attached can be changed, and inspected, through window.simulatedUsb:
+// attach() and detach() boards, and read or seed their flash, RAM and OTP.
+//
+// Nothing here models timing beyond what the host waits for - erases and
+// writes are instant.
+
+// DFU class requests and states, and the DfuSe commands the STM32 bootloader
+// takes in a block 0 download
+const SIM_DFU_DETACH = 0x00;
+const SIM_DFU_DNLOAD = 0x01;
+const SIM_DFU_UPLOAD = 0x02;
+const SIM_DFU_GETSTATUS = 0x03;
+const SIM_DFU_CLRSTATUS = 0x04;
+const SIM_DFU_GETSTATE = 0x05;
+const SIM_DFU_ABORT = 0x06;
+
+const SIM_DFU_STATE = {
+    IDLE: 2,
+    DNLOAD_SYNC: 3,
+    DNBUSY: 4,
+    DNLOAD_IDLE: 5,
+    MANIFEST_SYNC: 6,
+    MANIFEST: 7,
+    UPLOAD_IDLE: 9,
+    ERROR: 10
+};
+
+const SIM_DFU_STATUS = {
+    OK: 0x00,
+    ERROR_TARGET: 0x01,
+    ERROR_WRITE: 0x03,
+    ERROR_ERASE: 0x04,
+    ERROR_ADDRESS: 0x08,
+    ERROR_STALLEDPKT: 0x0F
+};
+
+const SIM_DFUSE_SET_ADDRESS = 0x21;
+const SIM_DFUSE_ERASE = 0x41;
+const SIM_DFUSE_READ_UNPROTECT = 0x92;
+
+// The STM32F4 variants an Ice may have: flash size, the device ID in
+// DBGMCU_IDCODE, and the flash the bootloader's memory layout claims. The
+// bootloader is shared by every part with that device ID, so its layout
+// describes the largest of them - only the flash size register is exact.
+const SIM_STM32_VARIANTS = {
+    'F401RB': { flashSize: 0x20000, deviceId: 0x423, layoutSize: 0x40000 },
+    'F401RC': { flashSize: 0x40000, deviceId: 0x423, layoutSize: 0x40000 },
+    'F401RE': { flashSize: 0x80000, deviceId: 0x433, layoutSize: 0x80000 },
+    'F405RG': { flashSize: 0x100000, deviceId: 0x413, layoutSize: 0x100000 },
+    'F411RC': { flashSize: 0x40000, deviceId: 0x431, layoutSize: 0x80000 },
+    'F411RE': { flashSize: 0x80000, deviceId: 0x431, layoutSize: 0x80000 },
+    'F446RC': { flashSize: 0x40000, deviceId: 0x421, layoutSize: 0x80000 },
+    'F446RE': { flashSize: 0x80000, deviceId: 0x421, layoutSize: 0x80000 }
+};
+
+const SIM_STM32_FLASH_BASE = 0x08000000;
+const SIM_STM32_OPTION_BYTES = 0x1FFFC000;
+const SIM_STM32_FLASH_SIZE_REGISTER = 0x1FFF7A22;
+const SIM_STM32_DBGMCU_IDCODE = 0xE0042000;
+const SIM_STM32_TRANSFER_SIZE = 2048;
+
+// The STM32F4 sector map, for flash of the given size: 16KB, 16KB, 16KB, 16KB,
+// 64KB, then 128KB to the end
+function simStm32Sectors(flashSize) {
+    const sectors = [];
+    for (let address = SIM_STM32_FLASH_BASE; address < SIM_STM32_FLASH_BASE + flashSize;) {
+        const size = address < 0x08010000 ? 0x4000 : address < 0x08020000 ? 0x10000 : 0x20000;
+        sectors.push({ address, size });
+        address += size;
+    }
+    return sectors;
+}
+
+// PICOBOOT commands and status codes, from the RP2350 datasheet. Commands with
+// the top bit set return data to the host.
+const SIM_PICOBOOT_MAGIC = 0x431FD10B;
+const SIM_PICOBOOT_CMD = {
+    EXCLUSIVE_ACCESS: 0x01,
+    REBOOT: 0x02,
+    FLASH_ERASE: 0x03,
+    READ: 0x84,
+    WRITE: 0x05,
+    EXIT_XIP: 0x06,
+    ENTER_CMD_XIP: 0x07,
+    EXEC: 0x08,
+    VECTORIZE_FLASH: 0x09,
+    REBOOT2: 0x0A,
+    GET_INFO: 0x8B,
+    OTP_READ: 0x8C,
+    OTP_WRITE: 0x0D
+};
+const SIM_PICOBOOT_STATUS = {
+    OK: 0,
+    UNKNOWN_CMD: 1,
+    INVALID_CMD_LENGTH: 2,
+    INVALID_TRANSFER_LENGTH: 3,
+    INVALID_ADDRESS: 4,
+    BAD_ALIGNMENT: 5,
+    NOT_PERMITTED: 10,
+    INVALID_ARG: 11,
+    UNSUPPORTED_MODIFICATION: 17
+};
+
+// PICOBOOT interface control requests
+const SIM_PICOBOOT_IF_RESET = 0x41;
+const SIM_PICOBOOT_IF_CMD_STATUS = 0x42;
+
+const SIM_RP2350_FLASH_BASE = 0x10000000;
+const SIM_RP2350_SECTOR_SIZE = 4096;
+const SIM_RP2350_PAGE_SIZE = 256;
+const SIM_RP2350_RAM_BASE = 0x20000000;
+const SIM_RP2350_RAM_SIZE = 520 * 1024;
+const SIM_RP2350_OTP_ROWS = 4096;
+
+// Each mode a Fire can be in, by the PID it enumerates with
+const SIM_FIRE_MODES = {
+    bootsel: { vendorId: 0x2e8a, productId: 0x000f, manufacturerName: 'Raspberry Pi',
+               productName: 'RP2350 Boot' },
+    stopped: { vendorId: 0x1209, productId: 0xf540, manufacturerName: 'piers.rocks',
+               productName: 'One ROM Fire Bootloader' },
+    running: { vendorId: 0x1209, productId: 0xf542, manufacturerName: 'piers.rocks',
+               productName: 'One ROM Fire' }
+};
+
+// How long a board is off the bus while it resets or reboots - well inside
+// the time UnifiedProgrammer waits for it to come back
+const SIM_REENUMERATE_MS = 300;
+
+// A standard descriptor: its length and type, then the fields given
+function simDescriptor(type, fields) {
+    return [fields.length + 2, type, ...fields];
+}
+
+function simU16(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+// A DOMException as Chrome's WebUSB throws them
+function simUsbError(name, message) {
+    return new DOMException(message, name);
+}
+
+// The USBDevice a simulated board presents, one per enumeration - a board that
+// reboots comes back as a new one, as real devices do. Transfers are handed to
+// the board; this keeps only what WebUSB itself does, like whether the device
+// is open, which interfaces are claimed and which alternate is selected.
+class SimulatedUsbDevice {
+    constructor(board, identity, interfaces) {
+        this.board = board;
+        this.vendorId = identity.vendorId;
+        this.productId = identity.productId;
+        this.manufacturerName = identity.manufacturerName;
+        this.productName = identity.productName;
+        this.serialNumber = identity.serialNumber;
+        this.deviceClass = 0;
+        this.deviceSubclass = 0;
+        this.deviceProtocol = 0;
+        this.deviceVersionMajor = identity.deviceVersion[0];
+        this.deviceVersionMinor = identity.deviceVersion[1];
+        this.deviceVersionSubminor = identity.deviceVersion[2];
+        this.usbVersionMajor = 2;
+        this.usbVersionMinor = 0;
+        this.usbVersionSubminor = 0;
+
+        this.opened = false;
+        this.attached = true;
+        this.configuration = {
+            configurationValue: 1,
+            configurationName: null,
+            interfaces: interfaces.map(alternates => ({
+                interfaceNumber: alternates[0].interfaceNumber,
+                alternate: alternates[0],
+                alternates,
+                claimed: false
+            }))
+        };
+        this.configurations = [this.configuration];
+    }
+
+    _checkAttached() {
+        if (!this.attached) {
+            throw simUsbError('NotFoundError', 'The device was disconnected.');
+        }
+    }
+
+    _checkOpen() {
+        this._checkAttached();
+        if (!this.opened) {
+            throw simUsbError('InvalidStateError', 'The device must be opened first.');
+        }
+    }
+
+    _interface(interfaceNumber) {
+        const usbInterface = this.configuration.interfaces.find(i => i.interfaceNumber === interfaceNumber);
+        if (!usbInterface) {
+            throw simUsbError('NotFoundError', 'The interface number provided is not supported ' +
+                              'by the device in its current configuration.');
+        }
+        return usbInterface;
+    }
+
+    async open() {
+        this._checkAttached();
+        this.opened = true;
+    }
+
+    async close() {
+        this._checkAttached();
+        this.opened = false;
+        for (const usbInterface of this.configuration.interfaces) {
+            usbInterface.claimed = false;
+        }
+    }
+
+    async forget() {
+        this.board.usb._forget(this);
+    }
+
+    async selectConfiguration(configurationValue) {
+        this._checkOpen();
+        if (configurationValue !== 1) {
+            throw simUsbError('NotFoundError', 'The configuration value provided is not supported by the device.');
+        }
+    }
+
+    async claimInterface(interfaceNumber) {
+        this._checkOpen();
+        this._interface(interfaceNumber).claimed = true;
+    }
+
+    async releaseInterface(interfaceNumber) {
+        this._checkOpen();
+        this._interface(interfaceNumber).claimed = false;
+    }
+
+    async selectAlternateInterface(interfaceNumber, alternateSetting) {
+        this._checkOpen();
+        const usbInterface = this._interface(interfaceNumber);
+        const alternate = usbInterface.alternates.find(a => a.alternateSetting === alternateSetting);
+        if (!usbInterface.claimed || !alternate) {
+            throw simUsbError('NotFoundError', 'The alternate setting provided is not supported.');
+        }
+        usbInterface.alternate = alternate;
+        this.board.selectAlternate(interfaceNumber, alternateSetting);
+    }
+
+    async controlTransferIn(setup, length) {
+        this._checkOpen();
+        await null;
+        const data = this.board.controlIn(setup, length);
+        return data === null
+            ? { status: 'stall', data: null }
+            : { status: 'ok', data: new DataView(data.buffer, data.byteOffset, Math.min(data.length, length)) };
+    }
+
+    async controlTransferOut(setup, data) {
+        this._checkOpen();
+        await null;
+        const bytes = data ? new Uint8Array(ArrayBuffer.isView(data) ? data.buffer.slice(
+            data.byteOffset, data.byteOffset + data.byteLength) : data) : new Uint8Array(0);
+        const ok = this.board.controlOut(setup, bytes);
+        return { status: ok ? 'ok' : 'stall', bytesWritten: ok ? bytes.length : 0 };
+    }
+
+    async transferIn(endpointNumber, length) {
+        this._checkOpen();
+        await null;
+        const data = this.board.bulkIn(endpointNumber, length);
+        return data === null
+            ? { status: 'stall', data: null }
+            : { status: 'ok', data: new DataView(data.buffer, data.byteOffset, data.byteLength) };
+    }
+
+    async transferOut(endpointNumber, data) {
+        this._checkOpen();
+        await null;
+        const bytes = new Uint8Array(ArrayBuffer.isView(data)
+            ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+            : data);
+        const ok = this.board.bulkOut(endpointNumber, bytes);
+        return { status: ok ? 'ok' : 'stall', bytesWritten: ok ? bytes.length : 0 };
+    }
+
+    async clearHalt(direction, endpointNumber) {
+        this._checkOpen();
+        this.board.clearHalt(direction, endpointNumber);
+    }
+
+    async reset() {
+        this._checkOpen();
+        this.board.busReset();
+    }
+}
+
+// What every simulated board has in common: being plugged in, and coming off
+// the bus and back to reset or reboot.
+class SimulatedBoard {
+    constructor(usb) {
+        this.usb = usb;
+        this.device = null;
+    }
+
+    // Plug the board in, enumerating it as it now is
+    plug() {
+        if (!this.device) {
+            this.device = this.enumerate();
+            this.usb._arrived(this.device);
+        }
+    }
+
+    // Unplug the board. What it holds is kept, as it would be.
+    unplug() {
+        if (this.device) {
+            const device = this.device;
+            this.device = null;
+            device.attached = false;
+            device.opened = false;
+            this.usb._left(device);
+        }
+    }
+
+    // Drop off the bus once the current transfer has been answered, and
+    // come back SIM_REENUMERATE_MS later - or not at all, if comeBack is false
+    resetLater(delayMs = 0, comeBack = true) {
+        setTimeout(() => {
+            this.unplug();
+            if (comeBack) {
+                setTimeout(() => this.plug(), SIM_REENUMERATE_MS);
+            }
+        }, delayMs);
+    }
+
+    selectAlternate() {}
+    bulkIn() { return null; }
+    bulkOut() { return false; }
+    clearHalt() {}
+    busReset() {}
+}
+
+// A One ROM Ice, in the STM32F4's system bootloader.
+//
+// The DFU state machine follows the DFU 1.1 specification and ST's DfuSe
+// extensions (AN3156): downloads and uploads move through the states the host
+// has to poll with GETSTATUS, and a request made in the wrong state stalls and
+// leaves the device in dfuERROR, as the real bootloader does. Like ST's, it
+// accepts CLRSTATUS in any state.
+//
+// Alternate setting 0 is the internal flash, with the F4's uneven sector map;
+// 1 is the option bytes. Flash bits can only be cleared by writing - only an
+// erase sets them again - so writing over data that was not erased leaves the
+// AND of the two, which verify then catches.
+class SimulatedIce extends SimulatedBoard {
+    constructor(usb, { mcu = 'F411RE', serialNumber } = {}) {
+        super(usb);
+        const variant = SIM_STM32_VARIANTS[mcu];
+        if (!variant) {
+            throw new Error('Unknown STM32 variant: ' + mcu);
+        }
+
+        this.model = 'Ice';
+        this.mcu = mcu;
+        this.serialNumber = serialNumber;
+        this.deviceId = variant.deviceId;
+        this.flash = new Uint8Array(variant.flashSize).fill(0xFF);
+        this.sectors = simStm32Sectors(variant.flashSize);
+        this.layoutSectors = simStm32Sectors(variant.layoutSize);
+
+        // USER and RDP, their complements, then nWRP and its complement: no
+        // protection
+        this.optionBytes = new Uint8Array([
+            0xEC, 0xAA, 0x13, 0x55, 0xFF, 0xFF, 0xFF, 0xFF,
+            0xFF, 0x0F, 0x00, 0xF0, 0xFF, 0xFF, 0xFF, 0xFF
+        ]);
+
+        this._resetDfu();
+    }
+
+    _resetDfu() {
+        this.state = SIM_DFU_STATE.IDLE;
+        this.status = SIM_DFU_STATUS.OK;
+        this.alternate = 0;
+        this.pointer = SIM_STM32_FLASH_BASE;
+        this.pending = null;
+    }
+
+    get rdpLevel() {
+        const rdp = this.optionBytes[1];
+        return rdp === 0xAA ? 0 : rdp === 0xCC ? 2 : 1;
+    }
+
+    // Set read-out protection (0, 1 or 2), or write protect sectors by index,
+    // for trying out what the programmer does about it
+    protect({ rdpLevel = this.rdpLevel, writeProtected = [] } = {}) {
+        this.optionBytes[1] = [0xAA, 0x55, 0xCC][rdpLevel];
+        let nWrp = 0xFFF;
+        for (const sector of writeProtected) {
+            nWrp &= ~(1 << sector);
+        }
+        this.optionBytes[8] = nWrp & 0xFF;
+        this.optionBytes[9] = (this.optionBytes[9] & 0xF0) | (nWrp >> 8);
+    }
+
+    _layoutString() {
+        // Runs of equally sized sectors, as the bootloader describes them
+        const runs = [];
+        for (const sector of this.layoutSectors) {
+            const last = runs[runs.length - 1];
+            if (last && last.size === sector.size) {
+                last.count++;
+            } else {
+                runs.push({ size: sector.size, count: 1 });
+            }
+        }
+        return '@Internal Flash  /0x08000000/' + runs.map(run =>
+            String(run.count).padStart(2, '0') + '*' + String(run.size / 1024).padStart(3, '0') + 'Kg').join(',');
+    }
+
+    enumerate() {
+        const names = [this._layoutString(), '@Option Bytes  /0x1FFFC000/01*016 e'];
+        const alternates = names.map((interfaceName, alternateSetting) => ({
+            interfaceNumber: 0,
+            alternateSetting,
+            interfaceClass: 0xFE,
+            interfaceSubclass: 0x01,
+            interfaceProtocol: 0x02,
+            interfaceName,
+            endpoints: []
+        }));
+        this._resetDfu();
+        return new SimulatedUsbDevice(this, {
+            vendorId: 0x0483,
+            productId: 0xdf11,
+            manufacturerName: 'STMicroelectronics',
+            productName: 'STM32  BOOTLOADER',
+            serialNumber: this.serialNumber,
+            deviceVersion: [2, 2, 0]
+        }, [alternates]);
+    }
+
+    // The descriptors the host may read for itself: device, configuration
+    // (interfaces, then the DFU functional descriptor giving the transfer
+    // size) and strings - the alternate settings' names among them
+    _descriptor(type, index) {
+        const strings = [null, 'STMicroelectronics', 'STM32  BOOTLOADER', this.serialNumber,
+                         this._layoutString(), '@Option Bytes  /0x1FFFC000/01*016 e'];
+        if (type === 0x01) {
+            return simDescriptor(0x01, [...simU16(0x0200), 0, 0, 0, 64, ...simU16(0x0483),
+                                        ...simU16(0xdf11), ...simU16(0x2200), 1, 2, 3, 1]);
+        }
+        if (type === 0x02 && index === 0) {
+            const body = [
+                ...simDescriptor(0x04, [0, 0, 0, 0xFE, 0x01, 0x02, 4]),
+                ...simDescriptor(0x04, [0, 1, 0, 0xFE, 0x01, 0x02, 5]),
+                ...simDescriptor(0x21, [0x0B, ...simU16(255), ...simU16(SIM_STM32_TRANSFER_SIZE),
+                                        ...simU16(0x011A)])
+            ];
+            return [...simDescriptor(0x02, [...simU16(9 + body.length), 1, 1, 0, 0xC0, 50]), ...body];
+        }
+        if (type === 0x03 && index === 0) {
+            // The languages the strings are in: US English
+            return simDescriptor(0x03, simU16(0x0409));
+        }
+        if (type === 0x03 && index < strings.length) {
+            const text = strings[index];
+            const fields = [];
+            for (let i = 0; i < text.length; i++) {
+                fields.push(...simU16(text.charCodeAt(i)));
+            }
+            return simDescriptor(0x03, fields);
+        }
+        return null;
+    }
+
+    selectAlternate(interfaceNumber, alternateSetting) {
+        this.alternate = alternateSetting;
+    }
+
+    // A request the current state does not allow: stall, and go to dfuERROR
+    _stall() {
+        this.state = SIM_DFU_STATE.ERROR;
+        this.status = SIM_DFU_STATUS.ERROR_STALLEDPKT;
+        return null;
+    }
+
+    _fail(status) {
+        this.state = SIM_DFU_STATE.ERROR;
+        this.status = status;
+    }
+
+    controlIn(setup, length) {
+        if (setup.requestType === 'standard' && setup.request === 0x06) {
+            const descriptor = this._descriptor(setup.value >> 8, setup.value & 0xFF);
+            return descriptor ? new Uint8Array(descriptor) : null;
+        }
+        if (setup.requestType !== 'class' || setup.recipient !== 'interface') {
+            return null;
+        }
+
+        switch (setup.request) {
+            case SIM_DFU_GETSTATUS:
+                return this._getStatus();
+            case SIM_DFU_GETSTATE:
+                return new Uint8Array([this.state]);
+            case SIM_DFU_UPLOAD:
+                return this._upload(setup.value, length);
+            default:
+                return this._stall();
+        }
+    }
+
+    controlOut(setup, data) {
+        if (setup.requestType !== 'class' || setup.recipient !== 'interface') {
+            return false;
+        }
+
+        switch (setup.request) {
+            case SIM_DFU_DNLOAD:
+                return this._download(setup.value, data);
+            case SIM_DFU_CLRSTATUS:
+                this.state = SIM_DFU_STATE.IDLE;
+                this.status = SIM_DFU_STATUS.OK;
+                return true;
+            case SIM_DFU_ABORT:
+                if (this.state === SIM_DFU_STATE.ERROR) {
+                    return false;
+                }
+                this.state = SIM_DFU_STATE.IDLE;
+                this.pending = null;
+                return true;
+            case SIM_DFU_DETACH:
+                // The system bootloader has no run-time mode to detach from
+                return true;
+            default:
+                this._stall();
+                return false;
+        }
+    }
+
+    _getStatus() {
+        let pollTimeout = 0;
+        switch (this.state) {
+            case SIM_DFU_STATE.DNLOAD_SYNC:
+                // Carry out the download now, as the bootloader does
+                this._execute(this.pending);
+                this.pending = null;
+                if (this.state !== SIM_DFU_STATE.ERROR) {
+                    this.state = SIM_DFU_STATE.DNBUSY;
+                    pollTimeout = 1;
+                }
+                break;
+            case SIM_DFU_STATE.DNBUSY:
+                this.state = SIM_DFU_STATE.DNLOAD_IDLE;
+                break;
+            case SIM_DFU_STATE.MANIFEST_SYNC:
+                // Leave: start the application. The Ice is then running,
+                // and gone from the bus until it next enters the bootloader
+                this.state = SIM_DFU_STATE.MANIFEST;
+                this.resetLater(0, false);
+                break;
+        }
+        return new Uint8Array([this.status, pollTimeout, 0, 0, this.state, 0]);
+    }
+
+    // Returns whether the download was accepted; it is carried out by the
+    // GETSTATUS that follows
+    _download(blockNumber, data) {
+        const command = blockNumber === 0 ? data[0] : null;
+        const valid =
+            (this.state === SIM_DFU_STATE.IDLE || this.state === SIM_DFU_STATE.DNLOAD_IDLE) &&
+            blockNumber !== 1 && data.length <= SIM_STM32_TRANSFER_SIZE &&
+            (command === null ||
+             (command === SIM_DFUSE_SET_ADDRESS && data.length === 5) ||
+             (command === SIM_DFUSE_ERASE && (data.length === 5 || data.length === 1)) ||
+             (command === SIM_DFUSE_READ_UNPROTECT && data.length === 1));
+        if (!valid) {
+            this._stall();
+            return false;
+        }
+
+        // An empty data block is the DfuSe leave request
+        if (data.length === 0) {
+            this.state = SIM_DFU_STATE.MANIFEST_SYNC;
+            return true;
+        }
+        this.pending = { blockNumber, data };
+        this.state = SIM_DFU_STATE.DNLOAD_SYNC;
+        return true;
+    }
+
+    _execute({ blockNumber, data }) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (blockNumber === 0) {
+            switch (data[0]) {
+                case SIM_DFUSE_SET_ADDRESS:
+                    this.pointer = view.getUint32(1, true);
+                    return;
+                case SIM_DFUSE_ERASE:
+                    if (data.length === 1) {
+                        this._massErase();
+                    } else {
+                        this._eraseSector(view.getUint32(1, true));
+                    }
+                    return;
+                case SIM_DFUSE_READ_UNPROTECT:
+                    // Dropping to level 0 mass erases the flash, then the
+                    // STM32 resets to load the new option bytes
+                    this.flash.fill(0xFF);
+                    this.optionBytes[1] = 0xAA;
+                    this.optionBytes[3] = 0x55;
+                    this.resetLater();
+                    return;
+            }
+        }
+
+        // As the real bootloader: the block's size is this request's wLength,
+        // not the transfer size
+        const address = this.pointer + (blockNumber - 2) * data.length;
+        if (this.alternate === 1) {
+            this._writeOptionBytes(address, data);
+        } else {
+            this._program(address, data);
+        }
+    }
+
+    _sectorIndex(address) {
+        return this.sectors.findIndex(sector =>
+            address >= sector.address && address < sector.address + sector.size);
+    }
+
+    _writeProtected(index) {
+        const nWrp = this.optionBytes[8] | ((this.optionBytes[9] & 0x0F) << 8);
+        return !(nWrp & (1 << index));
+    }
+
+    _eraseSector(address) {
+        const index = this._sectorIndex(address);
+        if (this.alternate !== 0 || index < 0) {
+            return this._fail(SIM_DFU_STATUS.ERROR_TARGET);
+        }
+        if (this.rdpLevel !== 0 || this._writeProtected(index)) {
+            return this._fail(SIM_DFU_STATUS.ERROR_ERASE);
+        }
+        const sector = this.sectors[index];
+        const offset = sector.address - SIM_STM32_FLASH_BASE;
+        this.flash.fill(0xFF, offset, offset + sector.size);
+    }
+
+    _massErase() {
+        if (this.rdpLevel !== 0 || this.sectors.some((sector, index) => this._writeProtected(index))) {
+            return this._fail(SIM_DFU_STATUS.ERROR_ERASE);
+        }
+        this.flash.fill(0xFF);
+    }
+
+    _program(address, data) {
+        const offset = address - SIM_STM32_FLASH_BASE;
+        if (offset < 0 || offset + data.length > this.flash.length) {
+            return this._fail(SIM_DFU_STATUS.ERROR_ADDRESS);
+        }
+        const first = this._sectorIndex(address);
+        const last = this._sectorIndex(address + data.length - 1);
+        for (let index = first; index <= last; index++) {
+            if (this.rdpLevel !== 0 || this._writeProtected(index)) {
+                return this._fail(SIM_DFU_STATUS.ERROR_WRITE);
+            }
+        }
+        for (let i = 0; i < data.length; i++) {
+            this.flash[offset + i] &= data[i];
+        }
+    }
+
+    _writeOptionBytes(address, data) {
+        if (address !== SIM_STM32_OPTION_BYTES || data.length !== this.optionBytes.length) {
+            return this._fail(SIM_DFU_STATUS.ERROR_ADDRESS);
+        }
+        if (this.rdpLevel === 2) {
+            return this._fail(SIM_DFU_STATUS.ERROR_TARGET);
+        }
+
+        // Leaving read-out protection mass erases, as with read unprotect
+        if (this.rdpLevel !== 0 && data[1] === 0xAA) {
+            this.flash.fill(0xFF);
+        }
+        this.optionBytes.set(data);
+        this.resetLater();
+    }
+
+    _upload(blockNumber, length) {
+        if (this.state !== SIM_DFU_STATE.IDLE && this.state !== SIM_DFU_STATE.UPLOAD_IDLE) {
+            return this._stall();
+        }
+        if (blockNumber === 1) {
+            return this._stall();
+        }
+
+        this.state = SIM_DFU_STATE.UPLOAD_IDLE;
+        if (blockNumber === 0) {
+            // The DfuSe commands supported
+            return new Uint8Array([0x00, SIM_DFUSE_SET_ADDRESS, SIM_DFUSE_ERASE, SIM_DFUSE_READ_UNPROTECT]);
+        }
+
+        const address = this.pointer + (blockNumber - 2) * length;
+        const data = this.read(address, length);
+        if (data === null) {
+            this._fail(SIM_DFU_STATUS.ERROR_ADDRESS);
+        }
+        return data;
+    }
+
+    // Read what the bootloader lets the host read, through the selected
+    // alternate setting: the flash, unless read-out protected, and the two
+    // identity registers; or the option bytes. Null for anything else.
+    read(address, length) {
+        if (this.alternate === 1) {
+            return address === SIM_STM32_OPTION_BYTES && length <= this.optionBytes.length
+                ? this.optionBytes.slice(0, length) : null;
+        }
+
+        const offset = address - SIM_STM32_FLASH_BASE;
+        if (offset >= 0 && offset + length <= this.flash.length) {
+            return this.rdpLevel === 0 ? this.flash.slice(offset, offset + length) : null;
+        }
+        const registers = {
+            [SIM_STM32_FLASH_SIZE_REGISTER]: simU16(this.flash.length / 1024),
+            [SIM_STM32_DBGMCU_IDCODE]: [this.deviceId & 0xFF, this.deviceId >> 8, 0x00, 0x10]
+        };
+        const register = registers[address];
+        return register && length <= register.length ? new Uint8Array(register.slice(0, length)) : null;
+    }
+}
+
+// A One ROM Fire, speaking PICOBOOT.
+//
+// Each command is a 32-byte packet on the bulk OUT endpoint, then a data
+// phase if it has one - in either direction - then an acknowledgement: a
+// zero-length packet the other way. A command that fails stalls both
+// endpoints; the host finds out why with the CMD_STATUS control request, and
+// recovers with IF_RESET or by clearing the halts.
+//
+// Stopped, it takes every command. Running, it does not let flash or OTP be
+// changed underneath the firmware, but reads - flash, RAM and OTP - still
+// work, which is how a running board's live state is read.
+class SimulatedFire extends SimulatedBoard {
+    constructor(usb, { mode = 'stopped', chipId, flashSize = 2 * 1024 * 1024 } = {}) {
+        super(usb);
+        this.model = 'Fire';
+        this.mode = mode;
+        this.chipId = chipId;
+        this.flash = new Uint8Array(flashSize).fill(0xFF);
+        this.ram = new Uint8Array(SIM_RP2350_RAM_SIZE);
+
+        // Raw rows, 24 bits each; unwritten OTP reads as zero. The chip ID is
+        // programmed at the factory.
+        this.otp = new Uint32Array(SIM_RP2350_OTP_ROWS);
+        for (let row = 0; row < 4; row++) {
+            this.otp[row] = Number((chipId >> BigInt(16 * row)) & 0xFFFFn);
+        }
+
+        this._resetPicoboot();
+    }
+
+    get serialNumber() {
+        return this.chipId.toString(16).toUpperCase().padStart(16, '0');
+    }
+
+    _resetPicoboot() {
+        this.phase = 'command';
+        this.command = null;
+        this.dataIn = null;
+        this.dataOut = null;
+        this.halted = false;
+        this.token = 0;
+        this.status = SIM_PICOBOOT_STATUS.OK;
+        this.cmdId = 0;
+    }
+
+    enumerate() {
+        const identity = SIM_FIRE_MODES[this.mode];
+
+        // The bootrom's BOOTSEL mode also has its mass storage interface
+        // first, which this does not simulate beyond its being there
+        const picobootInterface = this.mode === 'bootsel' ? 1 : 0;
+        const interfaces = [[{
+            interfaceNumber: picobootInterface,
+            alternateSetting: 0,
+            interfaceClass: 0xFF,
+            interfaceSubclass: 0x00,
+            interfaceProtocol: 0x00,
+            interfaceName: null,
+            endpoints: [
+                { endpointNumber: 3, direction: 'out', type: 'bulk', packetSize: 64 },
+                { endpointNumber: 4, direction: 'in', type: 'bulk', packetSize: 64 }
+            ]
+        }]];
+        if (this.mode === 'bootsel') {
+            interfaces.unshift([{
+                interfaceNumber: 0,
+                alternateSetting: 0,
+                interfaceClass: 0x08,
+                interfaceSubclass: 0x06,
+                interfaceProtocol: 0x50,
+                interfaceName: null,
+                endpoints: [
+                    { endpointNumber: 1, direction: 'out', type: 'bulk', packetSize: 64 },
+                    { endpointNumber: 2, direction: 'in', type: 'bulk', packetSize: 64 }
+                ]
+            }]);
+        }
+
+        this._resetPicoboot();
+        return new SimulatedUsbDevice(this, {
+            ...identity,
+            serialNumber: this.serialNumber,
+            deviceVersion: [1, 0, 0]
+        }, interfaces);
+    }
+
+    // A failed command: remember why, and stall both endpoints
+    _fail(status) {
+        this.status = status;
+        this.halted = true;
+        this.phase = 'command';
+        return null;
+    }
+
+    controlIn(setup, length) {
+        if (setup.requestType === 'vendor' && setup.recipient === 'interface' &&
+            setup.request === SIM_PICOBOOT_IF_CMD_STATUS) {
+            const status = new Uint8Array(16);
+            const view = new DataView(status.buffer);
+            view.setUint32(0, this.token, true);
+            view.setUint32(4, this.status, true);
+            status[8] = this.cmdId;
+            status[9] = 0;  // never still in progress: commands complete at once
+            return status;
+        }
+        return null;
+    }
+
+    controlOut(setup) {
+        if (setup.requestType === 'vendor' && setup.recipient === 'interface' &&
+            setup.request === SIM_PICOBOOT_IF_RESET) {
+            this._resetPicoboot();
+            return true;
+        }
+        return false;
+    }
+
+    clearHalt() {
+        this.halted = false;
+    }
+
+    busReset() {
+        this._resetPicoboot();
+    }
+
+    bulkOut(endpointNumber, data) {
+        if (this.halted) {
+            return false;
+        }
+
+        switch (this.phase) {
+            case 'command':
+                return this._command(data);
+            case 'data-out': {
+                const { data: buffer, received } = this.dataOut;
+                if (received + data.length > buffer.length) {
+                    this._fail(SIM_PICOBOOT_STATUS.INVALID_TRANSFER_LENGTH);
+                    return false;
+                }
+                buffer.set(data, received);
+                this.dataOut.received += data.length;
+
+                // Once it has all arrived, carry the command out. A failure
+                // stalls the acknowledgement, not this data.
+                if (this.dataOut.received === buffer.length && this._execute(buffer) !== null) {
+                    this.phase = 'ack-in';
+                }
+                return true;
+            }
+            case 'ack-out':
+                // The host's acknowledgement of data it has read
+                if (data.length !== 0) {
+                    this._fail(SIM_PICOBOOT_STATUS.INVALID_TRANSFER_LENGTH);
+                    return false;
+                }
+                this.phase = 'command';
+                return true;
+            default:
+                this._fail(SIM_PICOBOOT_STATUS.INVALID_CMD_LENGTH);
+                return false;
+        }
+    }
+
+    bulkIn(endpointNumber, length) {
+        if (this.halted) {
+            return null;
+        }
+
+        switch (this.phase) {
+            case 'data-in': {
+                const chunk = this.dataIn.subarray(0, length);
+                this.dataIn = this.dataIn.subarray(chunk.length);
+                if (this.dataIn.length === 0) {
+                    this.phase = 'ack-out';
+                }
+                return chunk.slice();
+            }
+            case 'ack-in':
+                this.phase = 'command';
+                return new Uint8Array(0);
+            default:
+                // A real device would leave this pending forever
+                return this._fail(SIM_PICOBOOT_STATUS.INVALID_TRANSFER_LENGTH);
+        }
+    }
+
+    _command(packet) {
+        const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+        if (packet.length !== 32 || view.getUint32(0, true) !== SIM_PICOBOOT_MAGIC) {
+            this._fail(SIM_PICOBOOT_STATUS.INVALID_CMD_LENGTH);
+            return false;
+        }
+
+        this.token = view.getUint32(4, true);
+        this.cmdId = packet[8];
+        this.status = SIM_PICOBOOT_STATUS.OK;
+        this.command = {
+            id: packet[8],
+            transferLength: view.getUint32(12, true),
+            args: new DataView(packet.buffer, packet.byteOffset + 16, 16)
+        };
+
+        if (this.command.id & 0x80) {
+            const data = this._execute(null);
+            if (data !== null) {
+                this.dataIn = data;
+                this.phase = data.length > 0 ? 'data-in' : 'ack-out';
+            }
+        } else if (this.command.transferLength > 0) {
+            this.dataOut = { data: new Uint8Array(this.command.transferLength), received: 0 };
+            this.phase = 'data-out';
+        } else if (this._execute(null) !== null) {
+            this.phase = 'ack-in';
+        }
+        return true;
+    }
+
+    // Carry out the current command, with the data sent for it if any.
+    // Returns the data to send back - empty for commands that send none - or
+    // null, having stalled, if it failed.
+    _execute(data) {
+        const { id, transferLength, args } = this.command;
+        const stopped = this.mode !== 'running';
+        const none = new Uint8Array(0);
+
+        switch (id) {
+            case SIM_PICOBOOT_CMD.EXCLUSIVE_ACCESS:
+            case SIM_PICOBOOT_CMD.EXIT_XIP:
+            case SIM_PICOBOOT_CMD.ENTER_CMD_XIP:
+            case SIM_PICOBOOT_CMD.VECTORIZE_FLASH:
+                return none;
+
+            case SIM_PICOBOOT_CMD.FLASH_ERASE: {
+                const address = args.getUint32(0, true);
+                const size = args.getUint32(4, true);
+                if (!stopped) {
+                    return this._fail(SIM_PICOBOOT_STATUS.NOT_PERMITTED);
+                }
+                if (address % SIM_RP2350_SECTOR_SIZE || size % SIM_RP2350_SECTOR_SIZE) {
+                    return this._fail(SIM_PICOBOOT_STATUS.BAD_ALIGNMENT);
+                }
+                const offset = address - SIM_RP2350_FLASH_BASE;
+                if (offset < 0 || offset + size > this.flash.length) {
+                    return this._fail(SIM_PICOBOOT_STATUS.INVALID_ADDRESS);
+                }
+                this.flash.fill(0xFF, offset, offset + size);
+                return none;
+            }
+
+            case SIM_PICOBOOT_CMD.READ: {
+                const bytes = this.read(args.getUint32(0, true), transferLength);
+                return bytes ?? this._fail(SIM_PICOBOOT_STATUS.INVALID_ADDRESS);
+            }
+
+            case SIM_PICOBOOT_CMD.WRITE:
+                return this._write(args.getUint32(0, true), data, stopped);
+
+            case SIM_PICOBOOT_CMD.EXEC:
+                // Code sent to run cannot be, here
+                return this._fail(SIM_PICOBOOT_STATUS.NOT_PERMITTED);
+
+            case SIM_PICOBOOT_CMD.REBOOT2:
+                return this._reboot(args.getUint32(0, true), args.getUint32(4, true));
+
+            case SIM_PICOBOOT_CMD.GET_INFO:
+                return this._getInfo(args, transferLength);
+
+            case SIM_PICOBOOT_CMD.OTP_READ:
+            case SIM_PICOBOOT_CMD.OTP_WRITE:
+                return this._otp(id, args, transferLength, data, stopped);
+
+            default:
+                // Including REBOOT, which is the RP2040's and not the RP2350's
+                return this._fail(SIM_PICOBOOT_STATUS.UNKNOWN_CMD);
+        }
+    }
+
+    // Read flash or RAM, as the bus sees them. Null outside both.
+    read(address, length) {
+        for (const [base, memory] of [[SIM_RP2350_FLASH_BASE, this.flash],
+                                      [SIM_RP2350_RAM_BASE, this.ram]]) {
+            const offset = address - base;
+            if (offset >= 0 && offset + length <= memory.length) {
+                return memory.slice(offset, offset + length);
+            }
+        }
+        return null;
+    }
+
+    // Flash is written a 256-byte page at a time, so must start on a page;
+    // only an erase sets bits again. RAM takes anything.
+    _write(address, data, stopped) {
+        const ramOffset = address - SIM_RP2350_RAM_BASE;
+        if (ramOffset >= 0 && ramOffset + data.length <= this.ram.length) {
+            this.ram.set(data, ramOffset);
+            return new Uint8Array(0);
+        }
+
+        const offset = address - SIM_RP2350_FLASH_BASE;
+        if (offset < 0 || offset + data.length > this.flash.length) {
+            return this._fail(SIM_PICOBOOT_STATUS.INVALID_ADDRESS);
+        }
+        if (!stopped) {
+            return this._fail(SIM_PICOBOOT_STATUS.NOT_PERMITTED);
+        }
+        if (address % SIM_RP2350_PAGE_SIZE) {
+            return this._fail(SIM_PICOBOOT_STATUS.BAD_ALIGNMENT);
+        }
+        for (let i = 0; i < data.length; i++) {
+            this.flash[offset + i] &= data[i];
+        }
+        return new Uint8Array(0);
+    }
+
+    // Reboot once acknowledged, after the delay asked for. A normal reboot
+    // starts the firmware; a BOOTSEL reboot is what One ROM's own picoboot
+    // takes as Stop, staying in its bootloader - only a board already in the
+    // bootrom stays there.
+    _reboot(flags, delayMs) {
+        const type = flags & 0xF;
+        if (type !== 0x0 && type !== 0x2) {
+            return this._fail(SIM_PICOBOOT_STATUS.INVALID_ARG);
+        }
+        this.mode = type === 0x0 ? 'running' : this.mode === 'bootsel' ? 'bootsel' : 'stopped';
+        this.resetLater(delayMs);
+        return new Uint8Array(0);
+    }
+
+    // GET_INFO's system information: the word count, then a group of words
+    // for each flag asked for, in flag order
+    _getInfo(args, transferLength) {
+        const INFO_SYS = 0x01;
+        if (args.getUint8(0) !== INFO_SYS) {
+            return this._fail(SIM_PICOBOOT_STATUS.INVALID_ARG);
+        }
+        const flags = args.getUint32(4, true);
+        const flashSizeCode = Math.log2(this.flash.length / SIM_RP2350_SECTOR_SIZE);
+        const groups = [
+            [0x01, [0, Number(this.chipId & 0xFFFFFFFFn), Number(this.chipId >> 32n)]],  // chip info
+            [0x02, [0]],                                                                   // critical
+            [0x04, [0]],                                                                   // CPU: Arm
+            [0x08, [flashSizeCode << 8]],                                                  // flash device
+            [0x10, [0, 0, 0, 0]],                                                          // boot random
+            [0x20, [0, 0]],                                                                // nonce
+            [0x40, [0, 0, 0, 0]]                                                           // boot info
+        ];
+        const words = [flags];
+        for (const [flag, values] of groups) {
+            if (flags & flag) {
+                words.push(...values);
+            }
+        }
+
+        const info = new Uint8Array(transferLength);
+        const view = new DataView(info.buffer);
+        const count = Math.min(words.length, Math.floor(transferLength / 4) - 1);
+        view.setUint32(0, count, true);
+        for (let i = 0; i < count; i++) {
+            view.setUint32(4 + 4 * i, words[i] >>> 0, true);
+        }
+        return info;
+    }
+
+    // OTP rows, read or written with ECC (16 bits a row, 2 bytes each) or raw
+    // (24 bits, 4 bytes each). OTP bits can only be set, and an ECC row once
+    // written cannot be changed - its ECC would no longer match.
+    _otp(id, args, transferLength, data, stopped) {
+        const row = args.getUint16(0, true);
+        const count = args.getUint16(2, true);
+        const ecc = args.getUint8(4) !== 0;
+        const bytesPerRow = ecc ? 2 : 4;
+        if (transferLength !== count * bytesPerRow) {
+            return this._fail(SIM_PICOBOOT_STATUS.INVALID_TRANSFER_LENGTH);
+        }
+        if (row + count > SIM_RP2350_OTP_ROWS) {
+            return this._fail(SIM_PICOBOOT_STATUS.INVALID_ADDRESS);
+        }
+
+        if (id === SIM_PICOBOOT_CMD.OTP_READ) {
+            const bytes = new Uint8Array(transferLength);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < count; i++) {
+                if (ecc) {
+                    view.setUint16(2 * i, this.otp[row + i] & 0xFFFF, true);
+                } else {
+                    view.setUint32(4 * i, this.otp[row + i], true);
+                }
+            }
+            return bytes;
+        }
+
+        if (!stopped) {
+            return this._fail(SIM_PICOBOOT_STATUS.NOT_PERMITTED);
+        }
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const value = ecc ? view.getUint16(2 * i, true) : view.getUint32(4 * i, true) & 0xFFFFFF;
+            const current = this.otp[row + i];
+            if (ecc ? (current !== 0 && current !== value) : (current & ~value) !== 0) {
+                return this._fail(SIM_PICOBOOT_STATUS.UNSUPPORTED_MODIFICATION);
+            }
+            values.push(ecc ? value : current | value);
+        }
+        this.otp.set(values, row);
+        return new Uint8Array(0);
+    }
+}
+
+// navigator.usb, with simulated boards in place of real ones.
+//
+// Events and getDevices() only ever involve devices this origin has been
+// granted, as in Chrome; requestDevice() stands in for the picker.
+class SimulatedUsb extends EventTarget {
+    constructor({ grantAll = true } = {}) {
+        super();
+        this.boards = [];
+        this.grantAll = grantAll;
+        this.grants = new Set();
+        this.nextSerial = 1;
+    }
+
+    _key(device) {
+        return device.vendorId + ':' + device.productId + ':' + (device.serialNumber || '');
+    }
+
+    _granted(device) {
+        return this.grants.has(this._key(device));
+    }
+
+    _arrived(device) {
+        if (this._granted(device)) {
+            this.dispatchEvent(Object.assign(new Event('connect'), { device }));
+        }
+    }
+
+    _left(device) {
+        if (this._granted(device)) {
+            this.dispatchEvent(Object.assign(new Event('disconnect'), { device }));
+        }
+    }
+
+    _forget(device) {
+        this.grants.delete(this._key(device));
+    }
+
+    /**
+     * Attach a simulated board.
+     * @param {string} kind - 'ice', 'fire', 'fire-running' or 'fire-bootsel'
+     * @param {Object} [options] - For an Ice, { mcu }; for a Fire, { flashSize }
+     * @returns {SimulatedIce|SimulatedFire} the board, whose flash, ram and otp
+     *          can be read or seeded directly
+     */
+    attach(kind, options = {}) {
+        const n = this.nextSerial++;
+        let board;
+        if (kind === 'ice') {
+            board = new SimulatedIce(this, {
+                serialNumber: 'SIM' + n.toString(16).toUpperCase().padStart(9, '0'),
+                ...options
+            });
+        } else if (kind === 'fire' || kind === 'fire-running' || kind === 'fire-bootsel') {
+            board = new SimulatedFire(this, {
+                mode: { 'fire': 'stopped', 'fire-running': 'running', 'fire-bootsel': 'bootsel' }[kind],
+                chipId: 0x51A0000000000000n | BigInt(n),
+                ...options
+            });
+        } else {
+            throw new Error('Unknown simulated board: ' + kind);
+        }
+
+        // Granted in every mode it can enumerate in, as though each had
+        // already been chosen in the picker
+        if (this.grantAll) {
+            const identities = board.model === 'Ice'
+                ? [{ vendorId: 0x0483, productId: 0xdf11 }]
+                : Object.values(SIM_FIRE_MODES);
+            for (const identity of identities) {
+                this.grants.add(this._key({ ...identity, serialNumber: board.serialNumber }));
+            }
+        }
+
+        this.boards.push(board);
+        board.plug();
+        return board;
+    }
+
+    /**
+     * Unplug a simulated board, for good.
+     * @param {SimulatedIce|SimulatedFire} board
+     */
+    detach(board) {
+        board.unplug();
+        this.boards = this.boards.filter(b => b !== board);
+    }
+
+    async getDevices() {
+        return this.boards.map(board => board.device)
+            .filter(device => device && this._granted(device));
+    }
+
+    // The picker: the first attached device any filter matches, which is
+    // then granted. Cancelling is NotFoundError, as from the real one.
+    async requestDevice({ filters } = {}) {
+        const device = this.boards.map(board => board.device).find(device => device &&
+            filters.some(filter =>
+                (filter.vendorId === undefined || filter.vendorId === device.vendorId) &&
+                (filter.productId === undefined || filter.productId === device.productId)));
+        if (!device) {
+            throw simUsbError('NotFoundError', 'No device selected.');
+        }
+        this.grants.add(this._key(device));
+        return device;
+    }
+}
+
+// Switch to simulated boards if the URL asks for them
+(() => {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('simulate')) {
+        return;
+    }
+
+    const usb = new SimulatedUsb({ grantAll: params.get('simulate-grants') !== 'none' });
+    Object.defineProperty(navigator, 'usb', { value: usb, configurable: true });
+    window.simulatedUsb = usb;
+
+    for (const name of params.get('simulate').split(',').filter(Boolean)) {
+        const [kind, mcu] = name.trim().split(':');
+        usb.attach(kind, kind === 'ice' && mcu ? { mcu: mcu.toUpperCase() } : {});
+    }
+    console.warn('Using simulated One ROMs: ' +
+                 usb.boards.map(board => board.model + ' ' + board.serialNumber).join(', '));
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('simulationNotice')?.classList.remove('hidden');
+    });
+})();
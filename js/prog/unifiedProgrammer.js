@@ -31,31 +31,293 @@ const ONEROM_USB_DEVICES = [
 // device is back in under a second or the grant does not exist.
 const REBOOT_REENUMERATE_TIMEOUT_MS = 2500;
 
+// How much of a Fire's flash is taken to be its One ROM image when how long the
+// image is cannot be told - see getMaxImageSize()
+const FIRE_MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+
+// Where a One ROM Fire's board identity lives in the RP2350's OTP, written once
+// at manufacture (writeBoardIdentity) so that the board can say what it is
+// whatever firmware is on it. Rows are read and written ECC protected, 16 bits
+// each:
+//   +0       magic, 0x4F52 ('OR')
+//   +1       layout version, 1
+//   +2..+17  board name (e.g. fire-28-c), ASCII, two characters a row, low
+//            byte first, NUL padded - model and revision are both in the name
+// Page 59 is clear of everything the RP2350 bootrom defines; unwritten OTP
+// reads as zero. The README documents the same layout for the firmware's sake -
+// change both together.
+const ONEROM_OTP_IDENTITY_ROW = 0xEC0;
+const ONEROM_OTP_IDENTITY_ROWS = 18;
+const ONEROM_OTP_IDENTITY_MAGIC = 0x4F52;
+const ONEROM_OTP_IDENTITY_VERSION = 1;
+
+// The RP2350's 64-bit public chip ID, in OTP rows CHIPID0-3, least
+// significant first
+const RP2350_OTP_CHIPID_ROW = 0x000;
+
+// Thrown when the flash read back after programming does not match the image.
+//
+// Kept distinct from transport errors on purpose: every transfer succeeded, but
+// what landed on the chip is not what was sent. That points at a flaky cable or
+// a marginal board, and the user needs to hear it now rather than discover it
+// later as a One ROM that misbehaves in its host.
+class VerifyError extends Error {
+    constructor(address, mismatchCount) {
+        super('Verify failed: ' + mismatchCount + ' byte(s) differ from the image, first at 0x' +
+              address.toString(16).toUpperCase().padStart(8, '0'));
+        this.name = 'VerifyError';
+        this.address = address;
+        this.mismatchCount = mismatchCount;
+    }
+}
+
+// Thrown when the user cancels programming through its AbortSignal.
+//
+// flashState says how far the operation got, because that is what the user
+// needs to know next:
+//   'untouched' - nothing had been erased; the board is as it was
+//   'partial'   - erasing or writing had started; the board holds neither the
+//                 old image nor the new one and must be programmed again
+//   'written'   - the image was written in full, but not verified
+class OperationCancelledError extends Error {
+    constructor(flashState) {
+        super({
+            untouched: 'Cancelled before the flash was changed',
+            partial: 'Cancelled part way through - the flash is partially written',
+            written: 'Cancelled while verifying - the image was written but not verified'
+        }[flashState]);
+        this.name = 'OperationCancelledError';
+        this.flashState = flashState;
+    }
+}
+
+// Progress through one phase of a chunked Fire transfer, reported from the
+// bytes actually completed rather than from a time estimate.
+//
+// The ETA is projected from the throughput measured so far in this phase, so a
+// slow hub or a different flash chip makes it longer instead of making the bar
+// lie. It is null until there is a measurement to project from.
+class TransferProgress {
+    constructor(programmer, totalBytes) {
+        this.programmer = programmer;
+        this.totalBytes = totalBytes;
+        this.startTime = Date.now();
+        programmer._progress(0, totalBytes, null);
+    }
+
+    update(doneBytes) {
+        const elapsedMs = Date.now() - this.startTime;
+
+        let etaSeconds = null;
+        if (doneBytes > 0 && doneBytes < this.totalBytes && elapsedMs > 0) {
+            const bytesPerMs = doneBytes / elapsedMs;
+            etaSeconds = (this.totalBytes - doneBytes) / bytesPerMs / 1000;
+        }
+
+        this.programmer._progress(doneBytes, this.totalBytes, etaSeconds);
+    }
+}
+
+// The model and mode each of those VID/PIDs means, for listing devices.
+const ONEROM_USB_MODES = {
+    '0483:df11': { model: 'Ice', mode: 'STM32 DFU' },
+    '2e8a:000f': { model: 'Fire', mode: 'BOOTSEL' },
+    '1209:f540': { model: 'Fire', mode: 'Stopped' },
+    '1209:f542': { model: 'Fire', mode: 'Running' }
+};
+
+function usbIdKey(device) {
+    return device.vendorId.toString(16).padStart(4, '0') + ':' +
+           device.productId.toString(16).padStart(4, '0');
+}
+
 function isOneRomDevice(device) {
     return ONEROM_USB_DEVICES.some(known =>
         known.vendorId === device.vendorId && known.productId === device.productId);
 }
 
 // Unified device programmer supporting both Ice (STM32) and Fire (RP2350)
-class UnifiedProgrammer {
+//
+// Also an EventTarget, relaying navigator.usb hot-plug events for One ROMs
+// only:
+//   device-arrived - an authorised One ROM has been plugged in, or has
+//                    re-enumerated after a reboot
+//   device-left    - a One ROM has been unplugged, or has dropped off the bus
+//                    to reboot
+// Both carry { usbDevice, isTarget } as their detail, isTarget being whether it
+// is the device operations are pinned to.
+//
+// And reporting what the programmer itself is doing, for as many listeners as
+// want it:
+//   phase          - an operation has moved on to a new phase - "Erasing",
+//                    "Programming", "Verifying" and so on; detail { phase }
+//   progress       - a transfer has got further; detail { bytesDone,
+//                    bytesTotal, percent, etaSeconds }, etaSeconds null until
+//                    there is something to project it from
+//   device-changed - a device has been opened, or closed; detail { connected,
+//                    deviceType, runMode, usbDevice }
+//   log            - a line of diagnostic output; detail { level, message },
+//                    level 'info' or 'error'
+//
+// Pages written before these events set window.dfuStatusHandler,
+// dfuProgressHandler and dfuDisconnectHandler instead. Those are still called,
+// from the events, if defined - but only as a shim: new code should listen.
+class UnifiedProgrammer extends EventTarget {
     constructor() {
+        super();
+
         this.deviceType = null;  // 'Ice' or 'Fire'
         this.dfuDevice = null;
         this.picobootDevice = null;
         this.cachedUsbDevice = null;
-        this.progressInterval = null;
         this.runMode = false;
+
+        // Serial of the device every operation is pinned to, once one has been
+        // chosen - from the picker or selectDevice(). Null when the device does
+        // not report one.
+        this.targetSerial = null;
+
+        // Set once a Fire erase starts; the Ice equivalent is kept by
+        // usbDfuDevice, which does its own erasing.
+        this.flashTouched = false;
         
-        // Speed estimates for RP2350 (bytes per second)
-        this.RP2350_SPEEDS = {
-            READ: 360 * 1024,    // 360 KB/s
-            ERASE: 100 * 1024,   // 100 KB/s  
-            WRITE: 240 * 1024    // 240 KB/s
-        };
-        
-        // Flash parameters
+        // Flash parameters. Fire transfers are chunked by sector, which is
+        // what progress is reported against.
         this.RP2350_FLASH_BASE = 0x10000000;
         this.RP2350_SECTOR_SIZE = 4096;
+        this.STM32_FLASH_BASE = 0x08000000;
+
+        // navigator.usb only reports devices already authorised on this
+        // origin, the same ones getDevices() can return
+        if (navigator.usb) {
+            navigator.usb.addEventListener('connect', (event) =>
+                this._relayUsbEvent('device-arrived', event.device));
+            navigator.usb.addEventListener('disconnect', (event) =>
+                this._relayUsbEvent('device-left', event.device));
+        }
+
+        // The old global handlers, kept working for pages that still set them
+        this.addEventListener('phase', (event) =>
+            window.dfuStatusHandler?.(event.detail.phase));
+        this.addEventListener('progress', (event) =>
+            window.dfuProgressHandler?.(event.detail.percent, event.detail.etaSeconds));
+        this.addEventListener('device-changed', (event) => {
+            if (!event.detail.connected) {
+                window.dfuDisconnectHandler?.();
+            }
+        });
+    }
+
+    /**
+     * Announce the phase an operation has moved on to.
+     * @private
+     * @param {string} phase
+     */
+    _phase(phase) {
+        this.dispatchEvent(new CustomEvent('phase', { detail: { phase } }));
+    }
+
+    /**
+     * Announce how far a transfer has got.
+     * @private
+     * @param {number} bytesDone
+     * @param {number} bytesTotal
+     * @param {number|null} etaSeconds
+     */
+    _progress(bytesDone, bytesTotal, etaSeconds) {
+        const percent = bytesTotal > 0 ? (100 * bytesDone) / bytesTotal : 100;
+        this.dispatchEvent(new CustomEvent('progress', {
+            detail: { bytesDone, bytesTotal, percent, etaSeconds }
+        }));
+    }
+
+    /**
+     * Write a line to the console, and pass it on to log listeners.
+     * @private
+     * @param {string} message
+     * @param {string} [level] - 'info' or 'error'
+     */
+    _log(message, level = 'info') {
+        if (level === 'error') {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+        this.dispatchEvent(new CustomEvent('log', { detail: { level, message } }));
+    }
+
+    /**
+     * Announce that a device has been opened or closed.
+     * @private
+     */
+    _deviceChanged() {
+        this.dispatchEvent(new CustomEvent('device-changed', {
+            detail: {
+                connected: this.isConnected(),
+                deviceType: this.deviceType,
+                runMode: this.runMode,
+                usbDevice: this.isConnected() ? this.cachedUsbDevice : null
+            }
+        }));
+    }
+
+    /**
+     * Pass on an Ice DFU device's phase, progress and log events as ours. It
+     * writes to the console itself, so log events are only re-dispatched. DFU
+     * blocks are not timed, so Ice progress carries no ETA.
+     *
+     * It also closes the device itself when an update fails. That is followed
+     * here, so that this is no longer connected either - rather than left
+     * holding an Ice with no device for the next operation to trip over.
+     * @private
+     * @param {usbDfuDevice} dfuDevice
+     */
+    _relayDfuEvents(dfuDevice) {
+        dfuDevice.addEventListener('phase', (event) => this._phase(event.detail.phase));
+        dfuDevice.addEventListener('progress', (event) =>
+            this._progress(event.detail.bytesDone, event.detail.bytesTotal, null));
+        dfuDevice.addEventListener('log', (event) =>
+            this.dispatchEvent(new CustomEvent('log', { detail: event.detail })));
+        dfuDevice.addEventListener('disconnected', () => {
+            if (this.dfuDevice === dfuDevice) {
+                this.dfuDevice = null;
+                this.deviceType = null;
+                this._deviceChanged();
+            }
+        });
+    }
+
+    /**
+     * Re-dispatch a navigator.usb event as one of ours, if it is a One ROM.
+     * @private
+     * @param {string} type - 'device-arrived' or 'device-left'
+     * @param {USBDevice} usbDevice
+     */
+    _relayUsbEvent(type, usbDevice) {
+        if (!isOneRomDevice(usbDevice)) {
+            return;
+        }
+        this.dispatchEvent(new CustomEvent(type, {
+            detail: { usbDevice, isTarget: this.isTarget(usbDevice) }
+        }));
+    }
+
+    /**
+     * Whether a device is the one operations are pinned to: by serial where
+     * the target has one. Otherwise by VID/PID, as the device last used was:
+     * unplugged and plugged back in it is a new USBDevice, and with no serial
+     * there is nothing else to know it by.
+     * @param {USBDevice} usbDevice
+     * @returns {boolean}
+     */
+    isTarget(usbDevice) {
+        if (this.targetSerial) {
+            return usbDevice.serialNumber === this.targetSerial;
+        }
+        const last = this.cachedUsbDevice;
+        return usbDevice === last ||
+            (last !== null && !usbDevice.serialNumber &&
+             usbDevice.vendorId === last.vendorId && usbDevice.productId === last.productId);
     }
     
     /**
@@ -87,14 +349,13 @@ class UnifiedProgrammer {
             // reach a device they have not approved.
             const devices = await navigator.usb.getDevices();
 
-            // Prefer the same physical device where the serial identifies it, so
-            // that having two One ROMs attached does not silently reconnect to
-            // the wrong one. Not every mode reports a serial, so fall back to
-            // any One ROM.
-            const serial = this.cachedUsbDevice.serialNumber;
-            const refreshed =
-                (serial && devices.find(d => isOneRomDevice(d) && d.serialNumber === serial)) ||
-                devices.find(isOneRomDevice);
+            // Pin to the chosen device's serial, so that with several One ROMs
+            // attached every operation reaches the one the user chose - never
+            // just the first found. Only a target that reports no serial falls
+            // back to any One ROM, as there is nothing else to go on.
+            const refreshed = this.targetSerial
+                ? devices.find(d => isOneRomDevice(d) && d.serialNumber === this.targetSerial)
+                : devices.find(isOneRomDevice);
 
             if (refreshed) {
                 usbDevice = refreshed;
@@ -113,7 +374,9 @@ class UnifiedProgrammer {
                     filters: ONEROM_USB_DEVICES
                 });
                 
+                // The user's choice in the picker becomes the target
                 this.cachedUsbDevice = usbDevice;
+                this.targetSerial = usbDevice.serialNumber || null;
             } catch (error) {
                 if (error.name === 'NotFoundError') {
                     throw new Error('No device selected');
@@ -121,7 +384,18 @@ class UnifiedProgrammer {
                 throw error;
             }
         }
-        
+
+        await this._openDevice(usbDevice);
+    }
+
+    /**
+     * Open a device, working out from its VID/PID whether it is an Ice or a
+     * Fire and in which mode.
+     * @private
+     * @param {USBDevice} usbDevice
+     * @returns {Promise<void>}
+     */
+    async _openDevice(usbDevice) {
         // Auto-detect device type from VID/PID
         if ((usbDevice.vendorId === 0x2e8a && usbDevice.productId === 0x000f) ||
             (usbDevice.vendorId === 0x1209 && usbDevice.productId === 0xf540) ||
@@ -133,21 +407,56 @@ class UnifiedProgrammer {
         } else if (usbDevice.vendorId === 0x0483 && usbDevice.productId === 0xdf11) {
             this.deviceType = 'Ice';
             this.dfuDevice = new usbDfuDevice();
+            this._relayDfuEvents(this.dfuDevice);
             this.runMode = false;
             await this.dfuDevice.connectWithDevice(usbDevice);
         } else {
             throw new Error('Unknown device type');
         }
+        this._deviceChanged();
     }
     
+    /**
+     * List every One ROM attached and already authorised on this origin.
+     *
+     * getDevices() needs no user activation, so this can be called at any
+     * time. Devices never granted to this origin are not listed: only Connect's
+     * picker can add them.
+     *
+     * @returns {Promise<Array<{usbDevice: USBDevice, model: string, mode: string,
+     *          usbId: string, serialNumber: string|null, isTarget: boolean}>>}
+     */
+    async listDevices() {
+        const devices = await navigator.usb.getDevices();
+        return devices.filter(isOneRomDevice).map(usbDevice => ({
+            usbDevice,
+            ...ONEROM_USB_MODES[usbIdKey(usbDevice)],
+            usbId: usbIdKey(usbDevice),
+            serialNumber: usbDevice.serialNumber || null,
+            isTarget: this.isTarget(usbDevice)
+        }));
+    }
+
+    /**
+     * Make a device the target of every following operation, without a picker.
+     * Any current connection is dropped, as it is to the previous target.
+     * @param {USBDevice} usbDevice - One of the devices from listDevices()
+     * @returns {Promise<void>}
+     */
+    async selectDevice(usbDevice) {
+        if (this.isConnected()) {
+            await this.disconnect();
+        }
+        this.cachedUsbDevice = usbDevice;
+        this.targetSerial = usbDevice.serialNumber || null;
+    }
+
     /**
      * Disconnect from the device
      * @returns {Promise<void>}
      */
     async disconnect() {
-        // Clean up any active progress intervals
-        this._stopProgressEstimation(0);
-        
+        const wasConnected = this.isConnected();
         if (this.deviceType === 'Fire') {
             if (this.picobootDevice) {
                 await this.picobootDevice.disconnect();
@@ -155,44 +464,63 @@ class UnifiedProgrammer {
             }
         } else if (this.deviceType === 'Ice') {
             if (this.dfuDevice) {
-                await this.dfuDevice.disconnect();
+                // Let go of it first, so its disconnected event is not taken
+                // for it closing itself
+                const dfuDevice = this.dfuDevice;
                 this.dfuDevice = null;
+                await dfuDevice.disconnect();
             }
         }
         
         this.deviceType = null;
+        if (wasConnected) {
+            this._deviceChanged();
+        }
     }
     
     /**
      * Read firmware from device
      * @param {number} length - Number of bytes to read
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels at the next block or
+     *        sector boundary, leaving the device disconnected
      * @returns {Promise<Uint8Array>}
      */
-    async upload(length) {
+    async upload(length, { signal } = {}) {
         if (!this.isConnected()) {
             await this.connect(false);  // false = use cached if available
         }
         
-        if (this.deviceType === 'Fire') {
-            const estimatedMs = (length / this.RP2350_SPEEDS.READ) * 1000;
-            
-            this._startProgressEstimation(estimatedMs);
-            try {
-                const data = await this.picobootDevice.flashRead(
-                    this.RP2350_FLASH_BASE, 
-                    length
-                );
-                this._stopProgressEstimation(100);
+        try {
+            if (this.deviceType === 'Fire') {
+                // Read a sector at a time, so progress reflects what has actually
+                // arrived - the way Ice reports per DFU block.
+                const data = new Uint8Array(length);
+                const progress = new TransferProgress(this, length);
+
+                for (let offset = 0; offset < length; offset += this.RP2350_SECTOR_SIZE) {
+                    signal?.throwIfAborted();
+                    const chunkLength = Math.min(this.RP2350_SECTOR_SIZE, length - offset);
+                    const chunk = await this.picobootDevice.flashRead(
+                        this.RP2350_FLASH_BASE + offset,
+                        chunkLength
+                    );
+                    data.set(chunk, offset);
+                    progress.update(offset + chunkLength);
+                }
+
                 return data;
-            } catch (error) {
-                this._stopProgressEstimation(0);
-                throw error;
+            } else if (this.deviceType === 'Ice') {
+                // Ice uses DFU's native progress reporting
+                return await this.dfuDevice.upload(length, signal);
+            } else {
+                throw new Error('No device connected');
             }
-        } else if (this.deviceType === 'Ice') {
-            // Ice uses DFU's native progress reporting
-            return await this.dfuDevice.upload(length);
-        } else {
-            throw new Error('No device connected');
+        } catch (error) {
+            if (signal?.aborted) {
+                await this.disconnect();
+            }
+            throw error;
         }
     }
 
@@ -204,14 +532,24 @@ class UnifiedProgrammer {
      * RAM (0x20000000+) on a running device. flashRead() accepts arbitrary
      * addresses, so the same picoboot command serves both flash and RAM.
      *
-     * No progress estimation: these reads are small (a few hundred bytes) and
-     * finish quickly, so a progress bar would only flicker.
+     * On Ice the DfuSe address pointer does the same job, but only within the
+     * memory the selected alternate setting covers - the internal flash. The
+     * bootloader refuses other addresses, which surfaces as a DfuError.
+     *
+     * No progress reporting on Fire: these reads are small (a few hundred
+     * bytes) and finish quickly, so a progress bar would only flicker. Ice
+     * reports per DFU block, as upload() does.
      *
      * @param {number} addr - Absolute target address (e.g. 0x20000200)
      * @param {number} length - Number of bytes to read
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Checked before the read; a
+     *        single small read is not worth interrupting part way
      * @returns {Promise<Uint8Array>} Exactly `length` bytes at `addr`
      */
-    async readMemory(addr, length) {
+    async readMemory(addr, length, { signal } = {}) {
+        signal?.throwIfAborted();
+
         if (!this.isConnected()) {
             await this.connect(false);  // false = use cached if available
         }
@@ -221,65 +559,559 @@ class UnifiedProgrammer {
             return await this.picobootDevice.flashRead(addr, length);
         } else if (this.deviceType === 'Ice') {
             // Ice only ever connects in STM32 DFU bootloader mode, so it is
-            // never running and has no live runtime info to read. The parser
-            // will not request RAM for an Ice device, so this should be
-            // unreachable; throw rather than return bad data if it happens.
-            throw new Error('readMemory is not supported on Ice devices');
+            // never running and has no live runtime info - the parser never
+            // asks it for RAM. Reads here are of flash, for inspection.
+            return await this.dfuDevice.upload(length, signal, addr);
+        } else {
+            throw new Error('No device connected');
+        }
+    }
+
+    /**
+     * Write bytes to an absolute target address in RAM - the other half of
+     * readMemory(), for the few places the page hands something back to
+     * running firmware, such as the read offset of an RTT buffer. The WRITE
+     * command takes RAM addresses as it does flash ones, and a running Fire
+     * accepts it for RAM.
+     *
+     * Ice has no use for this, and its bootloader maps no RAM, so it throws.
+     *
+     * @param {number} addr - Absolute target address (e.g. 0x20000200)
+     * @param {Uint8Array} data - The bytes to write
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Checked before the write
+     */
+    async writeMemory(addr, data, { signal } = {}) {
+        signal?.throwIfAborted();
+
+        if (!this.isConnected()) {
+            await this.connect(false);  // false = use cached if available
+        }
+
+        if (this.deviceType === 'Fire') {
+            if (typeof this.picobootDevice.flashWrite !== 'function') {
+                throw new Error('This version of the picoboot library cannot write memory');
+            }
+            await this.picobootDevice.flashWrite(addr, data);
+        } else if (this.deviceType === 'Ice') {
+            throw new Error('Only Fire memory can be written directly');
         } else {
             throw new Error('No device connected');
         }
     }
     
     /**
-     * Program firmware to device
+     * Program firmware to device, then read it back to verify it
      * @param {ArrayBuffer} fileArr - Firmware data to program
      * @param {string} mcuVariant - MCU variant (for validation)
-     * @returns {Promise<void>}
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels at the next block or
+     *        sector boundary. The device is left in a known state - DFU
+     *        aborted and status cleared on Ice, disconnected on both
+     * @param {boolean} [options.differential] - Read the flash first, and
+     *        erase and write only the sectors whose contents differ from the
+     *        image. Verification still covers the whole image
+     * @returns {Promise<{sectors: number, skipped: number}>} how many sectors
+     *          the image covers, and how many were left alone as unchanged
+     * @throws {VerifyError} if the flash does not match the image afterwards
+     * @throws {OperationCancelledError} if cancelled, saying how far it got
      */
-    async runUpdateSequence(fileArr, mcuVariant) {
+    async runUpdateSequence(fileArr, mcuVariant, { signal, differential = false } = {}) {
         // Auto-connect if not already connected
         if (!this.isConnected()) {
             await this.connect(false);  // false = use cached if available
         }
-        
-        if (this.deviceType === 'Fire') {
-            const dataLength = fileArr.byteLength;
-            
-            // Calculate erase size (round up to sector size)
-            const eraseLength = Math.ceil(dataLength / this.RP2350_SECTOR_SIZE) * this.RP2350_SECTOR_SIZE;
-            
-            // Estimate total time: erase + write
-            const eraseMs = (eraseLength / this.RP2350_SPEEDS.ERASE) * 1000;
-            const writeMs = (dataLength / this.RP2350_SPEEDS.WRITE) * 1000;
-            const totalMs = eraseMs + writeMs;
-            
-            this._startProgressEstimation(totalMs);
-            
-            try {
-                dfuStatusHandler("Erasing");
-                
-                // Convert ArrayBuffer to Uint8Array if needed
-                const dataArray = fileArr instanceof Uint8Array ? 
-                    fileArr : new Uint8Array(fileArr);
-                
-                // Progress continues automatically via interval
-                dfuStatusHandler("Programming");
-                
-                await this.picobootDevice.flashEraseAndWrite(
-                    this.RP2350_FLASH_BASE, 
-                    dataArray
-                );
-                
-                this._stopProgressEstimation(100);
-                dfuStatusHandler("Complete");
-            } catch (error) {
-                this._stopProgressEstimation(0);
-                dfuStatusHandler("Error");
+
+        this.flashTouched = false;
+        let written = false;
+        const iceDevice = this.dfuDevice;
+
+        // Convert ArrayBuffer to Uint8Array if needed
+        const dataArray = fileArr instanceof Uint8Array ?
+            fileArr : new Uint8Array(fileArr);
+
+        try {
+            // Every sector the image covers, or only those it changes
+            const allSectors = this.getSectors(dataArray.length);
+            let sectors = allSectors;
+            if (differential) {
+                this._phase("Comparing");
+                sectors = await this._changedSectors(dataArray, allSectors, signal);
+                this._log(`Differential: ${allSectors.length - sectors.length} of ` +
+                          `${allSectors.length} sectors unchanged, skipping them`);
+            }
+
+            if (sectors.length === 0) {
+                // Nothing to write - the flash already holds the image
+            } else if (this.deviceType === 'Fire') {
+                try {
+                    await this._fireEraseAndWrite(dataArray, signal, sectors);
+                } catch (error) {
+                    if (!signal?.aborted) {
+                        this._phase("Error");
+                    }
+                    throw error;
+                }
+            } else if (this.deviceType === 'Ice') {
+                // Ice uses DFU's native progress and status handling. The
+                // whole image is passed as no sectors, so a full update erases
+                // and writes exactly as it always has
+                await this.dfuDevice.runUpdateSequence(fileArr, mcuVariant, signal,
+                    differential ? sectors : null);
+            } else {
+                throw new Error('No device connected');
+            }
+            written = true;
+
+            // Neither the DFU nor the picoboot write path checks what it wrote, so
+            // without this a programming run that "completed" proves only that
+            // every transfer was accepted.
+            this._phase("Verifying");
+            await this.verify(fileArr, { signal });
+            this._phase("Complete");
+
+            return { sectors: allSectors.length, skipped: allSectors.length - sectors.length };
+        } catch (error) {
+            if (!signal?.aborted) {
                 throw error;
             }
+
+            // From the DFU device held at the start: it may since have been
+            // discarded, by disconnecting itself or by the disconnect below.
+            const touched = iceDevice ? iceDevice.flashTouched : this.flashTouched;
+            await this.disconnect();
+            throw new OperationCancelledError(
+                written ? 'written' : touched ? 'partial' : 'untouched');
+        }
+    }
+
+    /**
+     * The flash sectors an image of the given length covers, from the flash
+     * base: RP2350 flash erases in 4KB sectors, STM32F4 flash in the device's
+     * own sector map, which is uneven.
+     * @param {number} length - Image length in bytes
+     * @returns {Array<{offset: number, size: number}>}
+     */
+    getSectors(length) {
+        const sectors = [];
+        for (let offset = 0; offset < length;) {
+            const size = this.deviceType === 'Ice'
+                ? this.dfuDevice.getSectorSize(this.STM32_FLASH_BASE + offset)
+                : this.RP2350_SECTOR_SIZE;
+            sectors.push({ offset, size });
+            offset += size;
+        }
+        return sectors;
+    }
+
+    /**
+     * Read the flash an image is going to, and return the sectors in which
+     * they differ. Only the bytes the image covers are compared: whatever lies
+     * past its end in the last sector is not the image's concern.
+     * @private
+     * @param {Uint8Array} dataArray - The image
+     * @param {Array<{offset: number, size: number}>} sectors - From getSectors()
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array<{offset: number, size: number}>>}
+     */
+    async _changedSectors(dataArray, sectors, signal) {
+        const current = await this.upload(dataArray.length, { signal });
+        return sectors.filter(({ offset, size }) => {
+            const end = Math.min(offset + size, dataArray.length);
+            for (let i = offset; i < end; i++) {
+                if (current[i] !== dataArray[i]) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Read back the flash an image was programmed to and compare it with the
+     * image, byte for byte.
+     *
+     * Reads through upload(), the same path Connect uses, so a verify failure
+     * cannot be an artefact of a second, differently-behaved read routine.
+     *
+     * @param {ArrayBuffer|Uint8Array} fileArr - The image that was programmed
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the read-back
+     * @returns {Promise<void>}
+     * @throws {VerifyError} if any byte differs, giving the first mismatching
+     *         address and the number of bad bytes
+     */
+    async verify(fileArr, { signal } = {}) {
+        const expected = fileArr instanceof Uint8Array ? fileArr : new Uint8Array(fileArr);
+        const actual = await this.upload(expected.length, { signal });
+
+        let firstMismatch = -1;
+        let mismatchCount = 0;
+        for (let i = 0; i < expected.length; i++) {
+            if (actual[i] !== expected[i]) {
+                if (firstMismatch < 0) {
+                    firstMismatch = i;
+                }
+                mismatchCount++;
+            }
+        }
+
+        if (mismatchCount > 0) {
+            throw new VerifyError(this.getFlashBase() + firstMismatch, mismatchCount);
+        }
+    }
+
+    /**
+     * Erase flash from the flash base, in whole sectors: Ice through the DFU
+     * device's own sector planning, Fire a 4KB sector at a time. The device
+     * must be in its bootloader - a running Fire has to be stopped first.
+     * @param {number} length - Bytes to erase, rounded up to whole sectors;
+     *        getFlashSize() for the whole chip
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops at the next sector boundary
+     * @returns {Promise<void>}
+     */
+    async erase(length, { signal } = {}) {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.runMode) {
+            throw new Error('One ROM must be stopped before it can be erased');
+        }
+
+        this._phase("Erasing");
+        if (this.deviceType === 'Ice') {
+            await this.dfuDevice.erase(length, signal);
+        } else if (this.deviceType === 'Fire') {
+            // As _fireEraseAndWrite: picoboot builds without a separate erase
+            // write erased (0xFF) sectors instead, which comes to the same
+            const sectorSize = this.RP2350_SECTOR_SIZE;
+            const sectors = this.getSectors(length);
+            const separate = typeof this.picobootDevice.flashErase === 'function';
+            const blank = separate ? null : new Uint8Array(sectorSize).fill(0xFF);
+            const progress = new TransferProgress(this, sectors.length * sectorSize);
+            let done = 0;
+            for (const sector of sectors) {
+                signal?.throwIfAborted();
+                this.flashTouched = true;
+                if (separate) {
+                    await this.picobootDevice.flashErase(this.RP2350_FLASH_BASE + sector.offset, sectorSize);
+                } else {
+                    await this.picobootDevice.flashEraseAndWrite(this.RP2350_FLASH_BASE + sector.offset, blank);
+                }
+                done += sectorSize;
+                progress.update(done);
+            }
+        } else {
+            throw new Error('No device connected');
+        }
+    }
+
+    /**
+     * Check flash from the flash base is blank - every byte 0xFF - reading it
+     * back through upload().
+     * @param {number} length - Bytes to check
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the read
+     * @returns {Promise<Array<{offset: number, length: number}>>} each run of
+     *          bytes that are not 0xFF, as offsets from the flash base; empty
+     *          if the flash is blank
+     */
+    async blankCheck(length, { signal } = {}) {
+        this._phase("Checking");
+        const data = await this.upload(length, { signal });
+
+        const ranges = [];
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === 0xFF) continue;
+            const start = i;
+            while (i < data.length && data[i] !== 0xFF) {
+                i++;
+            }
+            ranges.push({ offset: start, length: i - start });
+        }
+        return ranges;
+    }
+
+    /**
+     * Get the address flash is mapped at on the connected device
+     * @returns {number}
+     */
+    getFlashBase() {
+        return this.deviceType === 'Fire' ? this.RP2350_FLASH_BASE : this.STM32_FLASH_BASE;
+    }
+
+    /**
+     * Size of the connected device's flash, where it can be known.
+     *
+     * Ice reports it, through its DfuSe memory layout or its MCU variant. Fire
+     * cannot: the RP2350's flash is external, and picoboot does not say how big
+     * it is.
+     *
+     * @returns {number} flash size in bytes
+     */
+    getFlashSize() {
+        if (this.deviceType === 'Ice') {
+            return this.dfuDevice.getFlashEnd() - this.STM32_FLASH_BASE;
+        }
+        throw new Error('Flash size is only known for Ice');
+    }
+
+    /**
+     * The most of the connected device's flash a One ROM image can take, for
+     * when the firmware does not say how long the image on it is.
+     *
+     * Ice: its whole flash. Fire: FIRE_MAX_IMAGE_SIZE, as its flash size cannot
+     * be read. Reading this much only ever adds erased flash, or what an
+     * earlier image left behind, after the end of the image.
+     *
+     * @returns {number} length in bytes, from the flash base
+     */
+    getMaxImageSize() {
+        if (this.deviceType === 'Ice') {
+            return this.getFlashSize();
+        }
+        return FIRE_MAX_IMAGE_SIZE;
+    }
+
+    /**
+     * Read the connected device's flash protection.
+     *
+     * Only Ice has any: an STM32's option bytes can set read-out protection
+     * (RDP), which blocks reading flash over DFU, and write protect individual
+     * sectors, which makes erasing them fail. Either makes programming fail
+     * part way with an opaque DFU error, so it is checked first.
+     *
+     * @returns {Promise<{rdpLevel: number, writeProtected: number[]}|null>}
+     *          null for Fire. writeProtected holds sector indices
+     */
+    async readProtection() {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Ice') {
+            return null;
+        }
+        const { rdpLevel, writeProtected } = await this.dfuDevice.readProtection();
+        return { rdpLevel, writeProtected };
+    }
+
+    /**
+     * Remove an Ice's flash protection. Read-out protection goes first, as the
+     * option bytes cannot be changed under it; removing it mass erases the
+     * flash. Write protection is then removed by rewriting the option bytes.
+     *
+     * Either change resets the STM32, so the device is left disconnected. A
+     * board with both kinds of protection therefore needs this twice, once
+     * for each. RDP level 2 is permanent; it cannot be removed, and this
+     * refuses to try.
+     *
+     * @returns {Promise<void>}
+     */
+    async removeProtection() {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Ice') {
+            throw new Error('Only Ice has flash protection');
+        }
+        const protection = await this.dfuDevice.readProtection();
+        if (protection.rdpLevel === 2) {
+            throw new Error('Read-out protection level 2 is permanent and cannot be removed');
+        }
+        if (protection.rdpLevel === 1) {
+            await this.dfuDevice.readUnprotect();
+        } else if (protection.writeProtected.length > 0) {
+            await this.dfuDevice.writeUnprotect(protection);
+        }
+        await this.disconnect();
+    }
+
+    /**
+     * USB serial of the device last connected to, if it reports one.
+     * @returns {string|null}
+     */
+    getSerialNumber() {
+        return this.cachedUsbDevice?.serialNumber || null;
+    }
+
+    /**
+     * What the picoboot library in use can do with the connected Fire's OTP.
+     * Older picoflash releases have neither otpRead nor otpWrite.
+     * @returns {{read: boolean, write: boolean}} both false for an Ice, or
+     *          with nothing connected
+     */
+    getOtpSupport() {
+        const device = this.deviceType === 'Fire' ? this.picobootDevice : null;
+        return {
+            read: typeof device?.otpRead === 'function',
+            write: typeof device?.otpWrite === 'function'
+        };
+    }
+
+    /**
+     * Read ECC-protected OTP rows from a Fire, as one 16-bit value each.
+     * @private
+     * @param {number} row - First row
+     * @param {number} count - Number of rows
+     * @returns {Promise<Uint16Array>}
+     */
+    async _otpRead(row, count) {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Fire') {
+            throw new Error('Only Fire has OTP');
+        }
+        if (!this.getOtpSupport().read) {
+            throw new Error('This version of the picoboot library cannot read OTP');
+        }
+
+        // PICOBOOT OTP_READ returns two bytes a row when reading with ECC
+        const bytes = await this.picobootDevice.otpRead(row, count, true);
+        if (!(bytes?.length >= 2 * count)) {
+            throw new Error('The picoboot library returned an unexpected OTP read');
+        }
+        const rows = new Uint16Array(count);
+        for (let i = 0; i < count; i++) {
+            rows[i] = bytes[2 * i] | (bytes[2 * i + 1] << 8);
+        }
+        return rows;
+    }
+
+    /**
+     * The RP2350's unique chip ID, from OTP. Identifies the chip, not the
+     * board it is on - for that see readBoardIdentity().
+     * @returns {Promise<string|null>} 16 hex digits; null for an Ice
+     */
+    async readChipId() {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Fire') {
+            return null;
+        }
+        const rows = await this._otpRead(RP2350_OTP_CHIPID_ROW, 4);
+        return Array.from(rows).reverse()
+            .map(row => row.toString(16).toUpperCase().padStart(4, '0'))
+            .join('');
+    }
+
+    /**
+     * The board identity written to a Fire's OTP at manufacture, if any.
+     * @returns {Promise<{board: string}|null>} board is the board name, e.g.
+     *          fire-28-c; null for an Ice, or a Fire made before boards had
+     *          their identity written
+     * @throws {Error} if OTP holds something other than an identity
+     */
+    async readBoardIdentity() {
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Fire') {
+            return null;
+        }
+
+        const rows = await this._otpRead(ONEROM_OTP_IDENTITY_ROW, ONEROM_OTP_IDENTITY_ROWS);
+        if (rows.every(row => row === 0)) {
+            return null;
+        }
+        if (rows[0] !== ONEROM_OTP_IDENTITY_MAGIC || rows[1] !== ONEROM_OTP_IDENTITY_VERSION) {
+            throw new Error('OTP board identity is not in a format this programmer understands');
+        }
+
+        let board = '';
+        for (const row of rows.subarray(2)) {
+            for (const code of [row & 0xFF, row >> 8]) {
+                if (code === 0) {
+                    return { board };
+                }
+                board += String.fromCharCode(code);
+            }
+        }
+        return { board };
+    }
+
+    /**
+     * Write a Fire's board identity to OTP. OTP bits can only ever be set, so
+     * this can be done once per board and never undone: it refuses a board
+     * that has any identity already, and reads back what it wrote. Needs the
+     * bootloader - a running Fire must be stopped first.
+     *
+     * Nothing is written, or even connected to, unless the board name has
+     * been confirmed - given a second time, as options.confirmation.
+     *
+     * @param {string} board - Board name, e.g. fire-28-c
+     * @param {Object} options
+     * @param {string} options.confirmation - The board name again
+     * @returns {Promise<void>}
+     */
+    async writeBoardIdentity(board, { confirmation } = {}) {
+        if (confirmation !== board) {
+            throw new Error('The board name was not confirmed, so nothing has been written to OTP');
+        }
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+        if (this.deviceType !== 'Fire') {
+            throw new Error('Only Fire has OTP');
+        }
+        if (this.runMode) {
+            throw new Error('One ROM must be stopped before its OTP can be written');
+        }
+        if (!this.getOtpSupport().write) {
+            throw new Error('This version of the picoboot library cannot write OTP');
+        }
+        const maxLength = (ONEROM_OTP_IDENTITY_ROWS - 2) * 2;
+        if (!/^[a-z0-9-]+$/.test(board) || board.length > maxLength) {
+            throw new Error('Board name must be lower case letters, digits and dashes, at most ' +
+                            maxLength + ' characters');
+        }
+
+        const existing = await this._otpRead(ONEROM_OTP_IDENTITY_ROW, ONEROM_OTP_IDENTITY_ROWS);
+        if (existing.some(row => row !== 0)) {
+            throw new Error('This board already has an identity in OTP, which cannot be changed');
+        }
+
+        const rows = new Uint16Array(ONEROM_OTP_IDENTITY_ROWS);
+        rows[0] = ONEROM_OTP_IDENTITY_MAGIC;
+        rows[1] = ONEROM_OTP_IDENTITY_VERSION;
+        for (let i = 0; i < board.length; i++) {
+            rows[2 + (i >> 1)] |= board.charCodeAt(i) << ((i & 1) * 8);
+        }
+        await this.picobootDevice.otpWrite(ONEROM_OTP_IDENTITY_ROW,
+                                           new Uint8Array(rows.buffer), true);
+
+        const written = await this.readBoardIdentity();
+        if (written?.board !== board) {
+            throw new Error('OTP board identity did not read back as written');
+        }
+    }
+
+    /**
+     * Identify the MCU on the connected device from the hardware itself,
+     * rather than from the firmware on it.
+     *
+     * A Fire is always an RP2350. An Ice's STM32 variant is worked out from
+     * what its bootloader reports - see usbDfuDevice.identifyMcu() - and may
+     * only narrow it down to a few candidates.
+     *
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the register reads
+     * @returns {Promise<{mcu: string|null, candidates: string[]}>} mcu is set
+     *          only when the variant is known exactly
+     */
+    async identifyMcu({ signal } = {}) {
+        signal?.throwIfAborted();
+        if (!this.isConnected()) {
+            await this.connect(false);
+        }
+
+        if (this.deviceType === 'Fire') {
+            return { mcu: 'RP2350', candidates: ['RP2350'] };
         } else if (this.deviceType === 'Ice') {
-            // Ice uses DFU's native progress and status handling
-            return await this.dfuDevice.runUpdateSequence(fileArr, mcuVariant);
+            const { mcu, candidates } = await this.dfuDevice.identifyMcu(signal);
+            return { mcu, candidates };
         } else {
             throw new Error('No device connected');
         }
@@ -295,6 +1127,12 @@ class UnifiedProgrammer {
 
     /**
      * Reboot the device into stopped (bootloader) or running (application) mode
+     *
+     * Ice can only be told to run: its bootloader is the STM32's, which it
+     * leaves to start the application, and nothing over USB brings it back.
+     * Once running, an Ice cannot be reconnected until it next enters the
+     * bootloader, so it must not be passed to rebootAndReconnect().
+     *
      * @param {boolean} stopped - true for stopped/bootloader, false for running/application
      * @returns {Promise<void>}
      */
@@ -302,8 +1140,13 @@ class UnifiedProgrammer {
         if (!this.isConnected()) {
             await this.connect(false);
         }
+        if (this.deviceType === 'Ice' && !stopped) {
+            await this.dfuDevice.detach(this.STM32_FLASH_BASE);
+            await this.disconnect();
+            return;
+        }
         if (this.deviceType !== 'Fire') {
-            throw new Error('Reboot only supported on Fire devices');
+            throw new Error('Only Fire can be stopped over USB');
         }
         if (stopped) {
             await this.picobootDevice.rebootRp2350(0x0002, 0x01, 0, 10);
@@ -334,50 +1177,84 @@ class UnifiedProgrammer {
      * by requesting a picker themselves; it will throw.
      *
      * @param {boolean} stopped - true for stopped/bootloader, false for running
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels before the reboot, or
+     *        while waiting for the device to come back
      * @returns {Promise<boolean>} true if reconnected, false if the device did
      *          not reappear as an authorised device within the timeout
      */
-    async rebootAndReconnect(stopped) {
+    async rebootAndReconnect(stopped, { signal } = {}) {
+        signal?.throwIfAborted();
+
         const previousPid = this.cachedUsbDevice ? this.cachedUsbDevice.productId : null;
 
         await this.reboot(stopped);
 
-        const device = await this._waitForReenumeration(previousPid);
+        const device = await this._waitForReenumeration(previousPid, signal);
         if (!device) {
             return false;
         }
 
+        // Open the device found directly rather than through connect(), which
+        // would look it up again by serial - and a mode that reports no serial
+        // would not be found, although the wait has already accepted it.
         this.cachedUsbDevice = device;
-        await this.connect(false);
+        await this._openDevice(device);
         return true;
     }
 
     /**
-     * Wait for a One ROM to appear on the bus under a PID other than the one
-     * given.
+     * Wait for the target One ROM to appear on the bus under a PID other than
+     * the one given.
      *
      * The PID encodes the mode, so a reboot must change it. Requiring a change
      * also avoids latching onto the outgoing device in the moment between the
      * reboot command being accepted and the host noticing the detach.
      *
+     * With a target serial, a device reporting a different serial is another
+     * One ROM on the same bus, and is ignored. One reporting none cannot be
+     * ruled out, so is accepted.
+     *
+     * Waits on device-arrived rather than polling getDevices(), which is only
+     * consulted once, for a device that beat us back.
+     *
      * @private
      * @param {number|null} previousPid - PID before the reboot, if known
+     * @param {AbortSignal} [signal] - Stops waiting if aborted
      * @returns {Promise<USBDevice|null>} the device, or null on timeout
      */
-    async _waitForReenumeration(previousPid) {
-        const deadline = Date.now() + REBOOT_REENUMERATE_TIMEOUT_MS;
+    async _waitForReenumeration(previousPid, signal) {
+        signal?.throwIfAborted();
 
-        for (;;) {
+        const matches = d =>
+            isOneRomDevice(d) && d.productId !== previousPid &&
+            (!this.targetSerial || !d.serialNumber || d.serialNumber === this.targetSerial);
+
+        let onArrived, onAbort, timer;
+        const cleanUp = () => {
+            this.removeEventListener('device-arrived', onArrived);
+            signal?.removeEventListener('abort', onAbort);
+            clearTimeout(timer);
+        };
+
+        // Listen before looking, so a device arriving in between is not missed
+        const arrived = new Promise((resolve, reject) => {
+            onArrived = (event) => {
+                if (matches(event.detail.usbDevice)) {
+                    resolve(event.detail.usbDevice);
+                }
+            };
+            onAbort = () => reject(signal.reason);
+            timer = setTimeout(() => resolve(null), REBOOT_REENUMERATE_TIMEOUT_MS);
+            this.addEventListener('device-arrived', onArrived);
+            signal?.addEventListener('abort', onAbort);
+        });
+
+        try {
             const devices = await navigator.usb.getDevices();
-            const device = devices.find(d =>
-                isOneRomDevice(d) && d.productId !== previousPid);
-            if (device) {
-                return device;
-            }
-            if (Date.now() >= deadline) {
-                return null;
-            }
-            await new Promise(resolve => setTimeout(resolve, 100));
+            return devices.find(matches) ?? await arrived;
+        } finally {
+            cleanUp();
         }
     }
 
@@ -422,35 +1299,64 @@ class UnifiedProgrammer {
         return this.deviceType !== null;
     }
     
-    // Private methods for progress estimation
-    
-    /**
-     * Start progress estimation for Fire operations
-     * @private
-     * @param {number} totalMs - Estimated total milliseconds for operation
-     */
-    _startProgressEstimation(totalMs) {
-        let progressPercent = 1;
-        dfuProgressHandler(progressPercent);
-        
-        const startTime = Date.now();
-        this.progressInterval = setInterval(() => {
-            const elapsed = Date.now() - startTime;
-            progressPercent = Math.min(95, Math.floor((elapsed / totalMs) * 100));
-            dfuProgressHandler(progressPercent);
-        }, 100);
-    }
-    
     /**
-     * Stop progress estimation and set final value
+     * Erase and write an image to Fire flash a sector at a time, reporting
+     * erase and write as separate phases with progress from completed sectors.
      * @private
-     * @param {number} finalPercent - Final progress percentage (0-100)
+     * @param {Uint8Array} dataArray - Image to write at the flash base
+     * @param {AbortSignal} [signal] - Stops at the next sector boundary
+     * @param {Array<{offset: number, size: number}>} sectors - The sectors to
+     *        erase and write, from getSectors()
+     * @returns {Promise<void>}
      */
-    _stopProgressEstimation(finalPercent = 100) {
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
+    async _fireEraseAndWrite(dataArray, signal, sectors) {
+        const sectorSize = this.RP2350_SECTOR_SIZE;
+
+        // Erase whole sectors; write only as much of each as the image fills
+        const eraseLength = sectors.length * sectorSize;
+        const chunkOf = ({ offset }) => dataArray.subarray(offset, offset + sectorSize);
+        const dataLength = sectors.reduce((total, sector) => total + chunkOf(sector).length, 0);
+
+        // Builds of the picoboot library without separate erase and write only
+        // offer the combined call. Fall back to that, still a sector at a time
+        // so progress stays real, but reported as a single phase.
+        const separate = typeof this.picobootDevice.flashErase === 'function' &&
+                         typeof this.picobootDevice.flashWrite === 'function';
+        if (!separate) {
+            this._phase("Programming");
+            const progress = new TransferProgress(this, dataLength);
+            let done = 0;
+            for (const sector of sectors) {
+                signal?.throwIfAborted();
+                this.flashTouched = true;
+                const chunk = chunkOf(sector);
+                await this.picobootDevice.flashEraseAndWrite(this.RP2350_FLASH_BASE + sector.offset, chunk);
+                done += chunk.length;
+                progress.update(done);
+            }
+            return;
+        }
+
+        this._phase("Erasing");
+        let progress = new TransferProgress(this, eraseLength);
+        let done = 0;
+        for (const sector of sectors) {
+            signal?.throwIfAborted();
+            this.flashTouched = true;
+            await this.picobootDevice.flashErase(this.RP2350_FLASH_BASE + sector.offset, sectorSize);
+            done += sectorSize;
+            progress.update(done);
+        }
+
+        this._phase("Programming");
+        progress = new TransferProgress(this, dataLength);
+        done = 0;
+        for (const sector of sectors) {
+            signal?.throwIfAborted();
+            const chunk = chunkOf(sector);
+            await this.picobootDevice.flashWrite(this.RP2350_FLASH_BASE + sector.offset, chunk);
+            done += chunk.length;
+            progress.update(done);
         }
-        dfuProgressHandler(finalPercent);
     }
 }
\ No newline at end of file
@@ -49,6 +49,16 @@
 //      It's also possible to call the update steps manually. Look at the 
 //      runUpdateSequence() function to see how this is done.
 //
+//      The dfu object is an EventTarget. Listen to it to follow along: "phase"
+//      when the sequence moves on (detail.phase), "progress" as blocks go
+//      (detail.bytesDone, detail.bytesTotal, detail.percent), "log" for each
+//      line it writes to the console (detail.level, detail.message) and
+//      "disconnected" once the device is closed.
+//
+//          dfu.addEventListener("progress", (event) => {
+//              progressBar.value = event.detail.percent;
+//          });
+//
 //      Further details on how the DFU sequence should work can be found within 
 //      this application note:
 //  
@@ -67,8 +77,43 @@
 //          https://www.siliconwitchery.com
 
 
+// Error type for a failed DFU operation, carrying the details in a machine
+// readable form so that callers can decide whether, and how, to retry. Any
+// detail which isn't known at the point of failure is null
+//
+//  - request: the DFU request in progress, by name (e.g. "DFU_DNLOAD")
+//  - status:  bStatus reported by the device (see dfuError)
+//  - state:   bState reported by the device (see dfuState)
+//  - block:   the block being transferred, counting from 0
+//  - address: the flash address the failure relates to
+class DfuError extends Error {
+    constructor(message, { request = null, status = null, state = null,
+                           block = null, address = null } = {}) {
+
+        // Add where it happened to the message, when known
+        let where = [];
+        if (request !== null) {
+            where.push(request);
+        }
+        if (block !== null) {
+            where.push("block " + block);
+        }
+        if (address !== null) {
+            where.push("at 0x" + address.toString(16).toUpperCase().padStart(8, '0'));
+        }
+        super(where.length > 0 ? message + " (" + where.join(", ") + ")" : message);
+
+        this.name = "DfuError";
+        this.request = request;
+        this.status = status;
+        this.state = state;
+        this.block = block;
+        this.address = address;
+    }
+}
+
 // Class constructor containing all the DFU functions and parameters 
-let usbDfuDevice = class {
+let usbDfuDevice = class extends EventTarget {
 
     // List of DFU requests we can perform. These are according to the DFU spec
     dfuRequest = {
@@ -116,13 +161,38 @@ let usbDfuDevice = class {
         ERROR_STALLEDPKT: 15
     }
 
-    // When an new instance of the dfu object is created, this will be called
-    constructor() {
+    // When an new instance of the dfu object is created, this will be called.
+    // blockRetries is how many times a single failed block is retried before
+    // the whole operation is abandoned
+    constructor({ blockRetries = 3 } = {}) {
+        super();
 
         // Creates a null device object
         this.device = null;
+
+        // Number of times to retry an individual block
+        this.blockRetries = blockRetries;
+
+        // Whether the last update sequence got as far as changing the flash
+        this.flashTouched = false;
+
+        // What the device reports about itself, read on connection. Until then
+        // (or if it reports nothing) the defaults and tables below are used
+        this.transferSize = this.defaultTransferSize;
+        this.memoryLayout = null;
+
+        // Flash size from the flash size register, read on connection. Null
+        // if it couldn't be read
+        this.flashSize = null;
+
+        // Flash end from the MCU table, used only when the device's memory
+        // layout couldn't be read
+        this.flashEnd = null;
     }
 
+    // Block size to use if the DFU functional descriptor can't be read
+    defaultTransferSize = 2048
+
     // MCU flash size lookup table
     mcuVariants = {
         'F401RB': 0x20000,   // 128KB
@@ -135,9 +205,57 @@ let usbDfuDevice = class {
         'F446RE': 0x80000    // 512KB
     }
 
+    // DBGMCU_IDCODE device ID for each MCU variant. Together with the flash
+    // size, this identifies the exact variant
+    mcuDeviceIds = {
+        'F401RB': 0x423,
+        'F401RC': 0x423,
+        'F401RE': 0x433,
+        'F405RG': 0x413,
+        'F411RC': 0x431,
+        'F411RE': 0x431,
+        'F446RC': 0x421,
+        'F446RE': 0x421
+    }
+
+    // Where the STM32F4 keeps its identity
+    DBGMCU_IDCODE = 0xE0042000
+    FLASH_SIZE_REGISTER = 0x1FFF7A22
+
+    // The STM32F4 option bytes, reached through their own DfuSe alternate
+    // setting. RDP is the second byte; nWRP, one bit per sector with 0 meaning
+    // write protected, is at offset 8
+    OPTION_BYTES_ADDRESS = 0x1FFFC000
+    OPTION_BYTES_LENGTH = 16
+
+    // Helper function which writes a line to the console, and passes it on to
+    // anyone listening for "log" events
+    log(message, level = "info") {
+        if (level === "error") {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+        this.dispatchEvent(new CustomEvent("log", { detail: { level, message } }));
+    }
+
+    // Helper function which announces the phase the update sequence is in
+    phase(phase) {
+        this.dispatchEvent(new CustomEvent("phase", { detail: { phase } }));
+    }
+
+    // Helper function which announces how far the current operation has got
+    progress(bytesDone, bytesTotal) {
+        let percent = bytesTotal > 0 ? (100 * bytesDone) / bytesTotal : 0;
+        this.dispatchEvent(new CustomEvent("progress", {
+            detail: { bytesDone, bytesTotal, percent }
+        }));
+    }
+
     // Helper function to get the latest DFU status. Often required before new 
-    // operations
-    async getStatus() {
+    // operations. context describes the operation being checked - any of
+    // request, block and address - and is carried by the DfuError if it fails
+    async getStatus(context = {}) {
 
         // Attempt to get status
         try {
@@ -161,7 +279,7 @@ let usbDfuDevice = class {
             let pollTime = result.data.getUint8(1);
 
             // Print info in the debug console
-            console.log("Status: " + Object.keys(this.dfuError)[error] +
+            this.log("Status: " + Object.keys(this.dfuError)[error] +
                 " in dfu state: " + Object.keys(this.dfuState)[state] +
                 ", Waiting: " + pollTime + "ms");
 
@@ -173,12 +291,9 @@ let usbDfuDevice = class {
                 state == this.dfuState.STATE_ERROR) {
 
                 // Return the error info
-                throw ("Error: " + Object.keys(this.dfuError)[error] +
-                    " in dfu state: " + Object.keys(this.dfuState)[state]);
-
-                // This could be extended to return the error and state in a 
-                // more machine readable way for retrying operations. Here we
-                // just return an error string
+                throw new DfuError(Object.keys(this.dfuError)[error] +
+                    " in dfu state: " + Object.keys(this.dfuState)[state],
+                    { ...context, status: error, state: state });
             }
 
             // Otherwise if everything is ok, return the new state
@@ -213,7 +328,8 @@ let usbDfuDevice = class {
             if (result.status != 'ok') {
 
                 // Throw a rejection
-                throw ("Error: Couldn't clear status");
+                throw new DfuError("Couldn't clear status",
+                    { request: "DFU_CLRSTATUS" });
             }
         }
 
@@ -225,7 +341,8 @@ let usbDfuDevice = class {
         }
     }
 
-    // Sets the internal variables based on the selected MCU
+    // Sets the internal variables based on the selected MCU. This is only a
+    // fallback - see getFlashEnd()
     async setFlashSize(mcuType) {
 
         // Attempt to set the flash size based on MCU
@@ -243,7 +360,7 @@ let usbDfuDevice = class {
             this.flashEnd = 0x08000000 + flashSize;
 
             // Print info to the console
-            console.log("MCU: " + mcuType + ", Flash size: " + flashSize / 1024 + " KB");
+            this.log("MCU: " + mcuType + ", Flash size: " + flashSize / 1024 + " KB");
         }
 
         // Catch errors
@@ -299,9 +416,12 @@ let usbDfuDevice = class {
             }
 
             // Print some info to the console
-            console.log("Connected to device. Serial number: " +
+            this.log("Connected to device. Serial number: " +
                 this.device.serialNumber);
 
+            // Find out the block size and flash layout from the device
+            await this.readDescriptors();
+
             // Try to get status first to see if device is already initialized
             let needsClear = false;
             let state;
@@ -324,6 +444,10 @@ let usbDfuDevice = class {
                 await this.getStatus();
             }
 
+            // Find out how much flash there really is, now the DFU engine is
+            // ready to read it
+            await this.readFlashSize();
+
             // Done and return
             return Promise.resolve();
         }
@@ -359,9 +483,12 @@ let usbDfuDevice = class {
             }
 
             // Print some info to the console
-            console.log("Connected to device. Serial number: " +
+            this.log("Connected to device. Serial number: " +
                 this.device.serialNumber);
 
+            // Find out the block size and flash layout from the device
+            await this.readDescriptors();
+
             // Try to get status first to see if device is already initialized
             let needsClear = false;
             let state;
@@ -384,6 +511,10 @@ let usbDfuDevice = class {
                 await this.getStatus();
             }
 
+            // Find out how much flash there really is, now the DFU engine is
+            // ready to read it
+            await this.readFlashSize();
+
             // Done and return
             return Promise.resolve();
         }
@@ -396,8 +527,457 @@ let usbDfuDevice = class {
         }
     }
 
-    // Helper function to get STM32F4 sector size based on address
+    // Reads what the bootloader publishes about itself:
+    //
+    //  - the DFU functional descriptor, part of the configuration descriptor,
+    //    which gives wTransferSize, the largest block the device accepts
+    //  - the interface string, which the STM32 bootloader uses for the DfuSe
+    //    memory layout of the flash, e.g.
+    //      "@Internal Flash  /0x08000000/04*016Kg,01*064Kg,03*128Kg"
+    //
+    // Either may be missing or unreadable, in which case the hardcoded defaults
+    // are used instead, so this never fails the connection
+    async readDescriptors() {
+
+        // Start from the defaults each time, as this may be a different device
+        this.transferSize = this.defaultTransferSize;
+        this.memoryLayout = null;
+
+        // Attempt to read the functional descriptor
+        try {
+
+            // Configuration descriptors are variable length, so read the 9
+            // byte header first to find out the total length
+            let header = await this.getDescriptor(0x02, 0, 9);
+            let totalLength = header.getUint16(2, true);
+            let config = await this.getDescriptor(0x02, 0, totalLength);
+
+            // Walk the descriptors looking for the DFU functional descriptor
+            for (let offset = 0; offset + 2 <= config.byteLength;) {
+                let length = config.getUint8(offset);
+                let type = config.getUint8(offset + 1);
+                if (length == 0) {
+                    break;
+                }
+                if (type == 0x21 && length >= 7) {
+                    this.transferSize = config.getUint16(offset + 5, true);
+                    break;
+                }
+                offset += length;
+            }
+        }
+
+        // Catch errors
+        catch (error) {
+            this.log("Couldn't read DFU functional descriptor, using " +
+                this.defaultTransferSize + " byte blocks: " + error);
+        }
+
+        // Attempt to read and parse the memory layout of alternate setting 0,
+        // which is the internal flash
+        try {
+            let name = await this.getInterfaceName(0);
+            this.memoryLayout = this.parseMemoryLayout(name);
+        }
+
+        // Catch errors
+        catch (error) {
+            this.log("Couldn't read DfuSe memory layout, using built in " +
+                "STM32F4 tables: " + error);
+        }
+
+        // Print info to the console
+        this.log("DFU transfer size: " + this.transferSize + " bytes");
+        if (this.memoryLayout) {
+            this.log("Memory layout: " + this.memoryLayout.name + ", " +
+                this.memoryLayout.sectors.length + " sectors, ending at 0x" +
+                this.memoryLayout.end.toString(16).toUpperCase());
+        }
+    }
+
+    // Reads the flash size register, and cuts the memory layout down to match.
+    // The bootloader is shared by every part with the same device ID, so its
+    // layout describes the largest of them - an F401RB's claims 256KB - and
+    // only the register says how much flash this part has. Best effort, like
+    // the descriptors: if it can't be read, the layout stands
+    async readFlashSize() {
+        this.flashSize = null;
+
+        // Attempt to read the register, in KB
+        try {
+            let data = await this.upload(2, undefined, this.FLASH_SIZE_REGISTER);
+            this.flashSize = (data[0] | (data[1] << 8)) * 1024;
+        }
+
+        // Catch errors
+        catch (error) {
+            this.log("Couldn't read flash size register: " + error);
+            return;
+        }
+
+        // Drop the sectors the part doesn't have
+        let end = 0x08000000 + this.flashSize;
+        if (this.memoryLayout && this.memoryLayout.end > end) {
+            this.memoryLayout = {
+                name: this.memoryLayout.name,
+                sectors: this.memoryLayout.sectors.filter(sector => sector.address < end),
+                end: end
+            };
+            this.log("Flash size register: " + this.flashSize / 1024 +
+                " KB, less than the memory layout describes");
+        }
+    }
+
+    // Helper function to read a standard descriptor from the device, returning
+    // a DataView of it
+    async getDescriptor(type, index, length, languageId = 0) {
+        let result = await this.device.controlTransferIn({
+            requestType: 'standard',
+            recipient: 'device',
+            request: 0x06, // GET_DESCRIPTOR
+            value: (type << 8) | index,
+            index: languageId
+        }, length);
+        this.checkTransfer(result, { request: "GET_DESCRIPTOR" });
+        return result.data;
+    }
+
+    // Helper function to get the name of an alternate setting of interface 0.
+    // WebUSB normally provides this, but where it doesn't the string
+    // descriptor is read directly
+    async getInterfaceName(alternateSetting) {
+
+        // Use what WebUSB already has, if it has it
+        let alternate = this.device.configuration.interfaces[0].alternates
+            .find(a => a.alternateSetting == alternateSetting);
+        if (alternate && alternate.interfaceName) {
+            return alternate.interfaceName;
+        }
+
+        // Otherwise find iInterface in the configuration descriptor
+        let header = await this.getDescriptor(0x02, 0, 9);
+        let config = await this.getDescriptor(0x02, 0, header.getUint16(2, true));
+        let stringIndex = 0;
+        for (let offset = 0; offset + 2 <= config.byteLength;) {
+            let length = config.getUint8(offset);
+            if (length == 0) {
+                break;
+            }
+            if (config.getUint8(offset + 1) == 0x04 &&
+                config.getUint8(offset + 2) == 0 &&
+                config.getUint8(offset + 3) == alternateSetting) {
+                stringIndex = config.getUint8(offset + 8);
+                break;
+            }
+            offset += length;
+        }
+        if (stringIndex == 0) {
+            throw ("Error: No name for alternate setting " + alternateSetting);
+        }
+
+        // And read the string, which is UTF-16LE after a 2 byte header
+        // (language 0x0409, US English, as used by the STM32 bootloader)
+        let string = await this.getDescriptor(0x03, stringIndex, 255, 0x0409);
+        let chars = [];
+        for (let offset = 2; offset + 1 < string.getUint8(0); offset += 2) {
+            chars.push(string.getUint16(offset, true));
+        }
+        return String.fromCharCode(...chars);
+    }
+
+    // Parses a DfuSe memory layout string into a list of sectors. The format
+    // is "@name/address/segments[/address/segments...]" where each segment is
+    // "count*size" followed by a unit (' ', 'K' or 'M') and a letter a-g giving
+    // the sector's properties as a bitmask of readable (1), erasable (2) and
+    // writeable (4), counted from 'a' == 1
+    parseMemoryLayout(layout) {
+
+        // Must start with '@'
+        if (!layout || layout[0] != '@') {
+            throw ("Error: Not a DfuSe memory layout: " + layout);
+        }
+
+        // Split off the name, then pair up addresses with their segments
+        let parts = layout.substring(1).split('/');
+        let name = parts[0].trim();
+        let sectors = [];
+        for (let i = 1; i + 1 < parts.length; i += 2) {
+            let address = parseInt(parts[i], 16);
+            if (isNaN(address)) {
+                throw ("Error: Bad address in memory layout: " + parts[i]);
+            }
+
+            // Each segment is a run of equally sized sectors
+            for (let segment of parts[i + 1].split(',')) {
+                let match = segment.trim().match(/^(\d+)\*(\d+)\s*([ KM]?)([a-g])$/);
+                if (!match) {
+                    throw ("Error: Bad segment in memory layout: " + segment);
+                }
+                let count = parseInt(match[1], 10);
+                let size = parseInt(match[2], 10) *
+                    ({ 'K': 1024, 'M': 1024 * 1024 }[match[3]] || 1);
+                let properties = match[4].charCodeAt(0) - 'a'.charCodeAt(0) + 1;
+                for (let n = 0; n < count; n++) {
+                    sectors.push({
+                        address: address,
+                        size: size,
+                        readable: (properties & 1) != 0,
+                        erasable: (properties & 2) != 0,
+                        writeable: (properties & 4) != 0
+                    });
+                    address += size;
+                }
+            }
+        }
+
+        // A layout with no sectors is no use to us
+        if (sectors.length == 0) {
+            throw ("Error: No sectors in memory layout: " + layout);
+        }
+
+        // Sort by address, and note where the flash ends
+        sectors.sort((a, b) => a.address - b.address);
+        let last = sectors[sectors.length - 1];
+        return { name: name, sectors: sectors, end: last.address + last.size };
+    }
+
+    // Works out which MCU variant is connected, from what the device can tell
+    // us about itself:
+    //
+    //  - the flash size, from the flash size register (in KB), read on
+    //    connection. Only if that couldn't be read, from the memory layout -
+    //    which describes the largest part sharing the bootloader, so may be
+    //    too big
+    //  - the device ID from DBGMCU_IDCODE, which distinguishes F401, F405,
+    //    F411 and F446
+    //
+    // Not every bootloader will let these registers be read, so each is best
+    // effort. Returns { mcu, candidates, flashSize, deviceId }, where
+    // candidates are the variants consistent with whatever could be found out,
+    // and mcu is set only if exactly one remains. Unknown values are null. If
+    // signal is aborted, the read stops and the abort is thrown rather than
+    // taken for an unreadable register
+    async identifyMcu(signal) {
+
+        // Flash size, from the register where it could be read
+        let flashSize = this.flashSize;
+        if (flashSize === null && this.memoryLayout) {
+            flashSize = this.memoryLayout.end - 0x08000000;
+        }
+
+        // Device ID, the bottom 12 bits of DBGMCU_IDCODE
+        let deviceId = null;
+        try {
+            let data = await this.upload(4, signal, this.DBGMCU_IDCODE);
+            deviceId = (data[0] | (data[1] << 8)) & 0xFFF;
+        } catch (error) {
+            if (signal?.aborted) {
+                return Promise.reject(error);
+            }
+            this.log("Couldn't read DBGMCU_IDCODE: " + error);
+        }
+
+        // Narrow down the variants to those consistent with what we found
+        let candidates = Object.keys(this.mcuVariants).filter(mcu =>
+            (flashSize === null || this.mcuVariants[mcu] == flashSize) &&
+            (deviceId === null || this.mcuDeviceIds[mcu] == deviceId));
+
+        // If nothing was found out at all, we know nothing
+        if (flashSize === null && deviceId === null) {
+            candidates = [];
+        }
+
+        // Print info to the console
+        this.log("Detected MCU: flash size " +
+            (flashSize === null ? "unknown" : flashSize / 1024 + " KB") +
+            ", device ID " +
+            (deviceId === null ? "unknown" : "0x" + deviceId.toString(16)) +
+            ", candidates: " + (candidates.join(", ") || "none"));
+
+        return {
+            mcu: candidates.length == 1 ? candidates[0] : null,
+            candidates: candidates,
+            flashSize: flashSize,
+            deviceId: deviceId
+        };
+    }
+
+    // Selects an alternate setting of the DFU interface. DFU requests then go
+    // to the memory it names - alternate setting 0 is the internal flash
+    async selectAlternate(alternateSetting) {
+        await this.device.selectAlternateInterface(0, alternateSetting);
+    }
+
+    // Finds the alternate setting whose memory layout name starts with the one
+    // given, e.g. "@Option Bytes". Returns null if there is none
+    async findAlternate(name) {
+        for (let alternate of this.device.configuration.interfaces[0].alternates) {
+            try {
+                let interfaceName = await this.getInterfaceName(alternate.alternateSetting);
+                if (interfaceName.startsWith(name)) {
+                    return alternate.alternateSetting;
+                }
+            } catch (error) {
+                this.log("Couldn't read name of alternate setting " +
+                    alternate.alternateSetting + ": " + error);
+            }
+        }
+        return null;
+    }
+
+    // Runs fn with the option bytes alternate setting selected, returning to
+    // the internal flash afterwards
+    async withOptionBytes(fn) {
+        let alternate = await this.findAlternate("@Option Bytes");
+        if (alternate === null) {
+            throw ("Error: Device does not offer its option bytes over DFU");
+        }
+        await this.selectAlternate(alternate);
+        try {
+            return await fn();
+        } finally {
+            try {
+                await this.selectAlternate(0);
+            } catch (error) {
+                // The device may have reset after an option byte change
+                this.log("Couldn't reselect internal flash: " + error);
+            }
+        }
+    }
+
+    // Reads the read-out (RDP) and write (nWRP) protection from the option
+    // bytes. Returns:
+    //
+    //  - rdpLevel: 0 (none, RDP 0xAA), 2 (permanent, RDP 0xCC), otherwise 1
+    //  - writeProtected: the indices of the write protected sectors
+    //  - optionBytes: the raw option bytes, for writing back modified
+    async readProtection() {
+        let optionBytes = await this.withOptionBytes(() =>
+            this.upload(this.OPTION_BYTES_LENGTH, undefined, this.OPTION_BYTES_ADDRESS));
+
+        let rdp = optionBytes[1];
+        let rdpLevel = rdp == 0xAA ? 0 : rdp == 0xCC ? 2 : 1;
+
+        let nWrp = optionBytes[8] | ((optionBytes[9] & 0x0F) << 8);
+        let writeProtected = [];
+        for (let sector = 0; sector < 12; sector++) {
+            if (!(nWrp & (1 << sector))) {
+                writeProtected.push(sector);
+            }
+        }
+
+        this.log("Protection: RDP level " + rdpLevel + " (0x" + rdp.toString(16) +
+            "), write protected sectors: " + (writeProtected.join(", ") || "none"));
+
+        return { rdpLevel: rdpLevel, writeProtected: writeProtected, optionBytes: optionBytes };
+    }
+
+    // Removes read-out protection with the DfuSe read unprotect command. The
+    // device mass erases its flash - that is the price of leaving RDP level 1 -
+    // and then resets, dropping off the bus, so it must be reconnected
+    // afterwards. Level 2 is permanent and cannot be removed
+    async readUnprotect() {
+
+        // Log info to console
+        this.log("Removing read-out protection (mass erase)");
+
+        // Make sure the DFU engine is idle
+        await this.resetState();
+
+        // Context for any error
+        let context = { request: "DFU_DNLOAD" };
+
+        // Read unprotect command
+        let result = await this.device.controlTransferOut({
+            requestType: 'class',
+            recipient: 'interface',
+            request: this.dfuRequest.DFU_DNLOAD,
+            value: 0, // wValue Should be 0 for command mode
+            index: 0
+        }, new Uint8Array([0x92]));
+        this.checkTransfer(result, context);
+        this.flashTouched = true;
+
+        // Issue a get status to apply the operation. The device resets during
+        // the mass erase, so losing it here is expected
+        try {
+            await this.getStatus(context);
+        } catch (error) {
+            this.log("Device reset during read unprotect: " + error);
+        }
+    }
+
+    // Removes write protection from every sector by writing the option bytes
+    // back with all of nWRP set. The device resets to apply option bytes, so
+    // must be reconnected afterwards. protection is from readProtection()
+    async writeUnprotect(protection) {
+
+        // Log info to console
+        this.log("Removing write protection");
+
+        let optionBytes = new Uint8Array(protection.optionBytes);
+        optionBytes[8] = 0xFF;
+        optionBytes[9] |= 0x0F;
+
+        await this.withOptionBytes(async () => {
+
+            // Make sure the DFU engine is idle, then point at the option bytes
+            await this.resetState();
+            await this.setAddressPointer(this.OPTION_BYTES_ADDRESS);
+
+            // Context for any error
+            let context = { request: "DFU_DNLOAD", block: 0, address: this.OPTION_BYTES_ADDRESS };
+
+            // Write them as block 0
+            let result = await this.device.controlTransferOut({
+                requestType: 'class',
+                recipient: 'interface',
+                request: this.dfuRequest.DFU_DNLOAD,
+                value: 2, // wValue should be the block number + 2
+                index: 0
+            }, optionBytes);
+            this.checkTransfer(result, context);
+
+            // Issue a get status to apply the operation. The device resets to
+            // load the new option bytes, so losing it here is expected
+            try {
+                await this.getStatus(context);
+                await this.getStatus(context);
+            } catch (error) {
+                this.log("Device reset after option byte write: " + error);
+            }
+        });
+    }
+
+    // Returns the address just past the end of flash. What the device reports
+    // in its memory layout wins; the MCU table set by setFlashSize() is only a
+    // fallback for devices that don't report one
+    getFlashEnd() {
+        if (this.memoryLayout) {
+            return this.memoryLayout.end;
+        }
+        if (this.flashEnd === null) {
+            throw ("Error: Flash size unknown - no memory layout and no MCU variant");
+        }
+        return this.flashEnd;
+    }
+
+    // Helper function to get sector size based on address. Comes from the
+    // device's memory layout where it has reported one, otherwise from the
+    // STM32F4 sector map
     getSectorSize(address) {
+        if (this.memoryLayout) {
+            let sector = this.memoryLayout.sectors.find(sector =>
+                address >= sector.address && address < sector.address + sector.size);
+            if (sector) {
+                return sector.size;
+            }
+        }
+        return this.getF4SectorSize(address);
+    }
+
+    // The STM32F4 sector map, used when the device doesn't report its own
+    getF4SectorSize(address) {
         if (address < 0x08010000) {
             return 0x4000;      // Sectors 0-3: 16KB each
         } else if (address < 0x08020000) {
@@ -407,37 +987,155 @@ let usbDfuDevice = class {
         }
     }
 
-    // Function which erases the device
-    async erase(fileSize) {
+    // Helper function which checks a control transfer went through. A stalled
+    // transfer means the device refused the request, which getStatus() would
+    // otherwise only discover on the next request
+    checkTransfer(result, context) {
+        if (result.status != 'ok') {
+            throw new DfuError("Transfer " + result.status,
+                { ...context, status: this.dfuError.ERROR_STALLEDPKT });
+        }
+    }
+
+    // Helper function which sets the DfuSe address pointer. Subsequent
+    // DFU_DNLOAD and DFU_UPLOAD blocks are then relative to it: block n
+    // (wValue n + 2) is at address + n * block size
+    async setAddressPointer(address) {
+
+        // Attempt to set the pointer
+        try {
+
+            // Context for any error
+            let context = { request: "DFU_DNLOAD", address: address };
+
+            // Set address pointer command, followed by the address (LSB first)
+            let result = await this.device.controlTransferOut({
+                requestType: 'class',
+                recipient: 'interface',
+                request: this.dfuRequest.DFU_DNLOAD,
+                value: 0, // wValue Should be 0 for command mode
+                index: 0
+            }, new Uint8Array([
+                0x21,
+                (address & 0x000000ff),
+                (address & 0x0000ff00) >> 8,
+                (address & 0x00ff0000) >> 16,
+                (address & 0xff000000) >>> 24
+            ]));
+            this.checkTransfer(result, context);
+
+            // Issue a get status to apply the operation
+            await this.getStatus(context);
+
+            // Check again if it was successful
+            await this.getStatus(context);
+        }
+
+        // Catch errors
+        catch (error) {
+
+            // Return the error
+            return Promise.reject(error);
+        }
+    }
+
+    // Helper function which runs one block's transfers, retrying the block up
+    // to blockRetries times if it fails. Between attempts the DFU engine is
+    // reset and recover() is called to put the device back where the block
+    // expects it, normally by re-setting the address pointer. A USB glitch
+    // part way through a long flash then costs one block, not the whole run
+    async retryBlock(context, signal, attempt, recover = async () => {}) {
+
+        // Keep trying until the block succeeds or we run out of retries
+        for (let tries = 0; ; tries++) {
+
+            // Attempt the block
+            try {
+                return await attempt();
+            }
 
-        // Clear the progress bar
-        dfuProgressHandler(0);
+            // Catch errors
+            catch (error) {
+
+                // Don't retry once cancelled - the caller resets the DFU
+                // engine then
+                if (signal?.aborted) {
+                    return Promise.reject(error);
+                }
+
+                // Out of retries: give up, but clear the error and abort the
+                // transfer first, so the device is left idle rather than in
+                // dfuERROR for whatever comes next
+                if (tries >= this.blockRetries) {
+                    await this.resetState();
+                    return Promise.reject(error);
+                }
+
+                // Log the retry to the console
+                this.log("Block " + context.block + " failed: " + error +
+                    " - retrying (" + (tries + 1) + " of " + this.blockRetries + ")");
+
+                // Clear the error and get back to where the block starts
+                await this.resetState();
+                await recover();
+            }
+        }
+    }
+
+    // Function which erases the device. If signal is aborted, stops at the next
+    // sector boundary. Erases every sector the file covers, unless given the
+    // start addresses of just the sectors to erase
+    async erase(fileSize, signal, sectorAddresses = null) {
 
         // Attempt to erase
         try {
 
-            // Calculate end address needed for file size
-            let requiredEnd = 0x08000000 + fileSize;
+            // Work out the sectors the file covers, if not told which to erase
+            if (sectorAddresses === null) {
+
+                // Calculate end address needed for file size
+                let requiredEnd = 0x08000000 + fileSize;
 
-            // Round up to next sector boundary  
-            let currentSector = 0x08000000;
-            while (currentSector < requiredEnd) {
-                currentSector += this.getSectorSize(currentSector);
+                // Round up to next sector boundary  
+                let currentSector = 0x08000000;
+                while (currentSector < requiredEnd) {
+                    currentSector += this.getSectorSize(currentSector);
+                }
+                requiredEnd = currentSector;
+
+                this.log("File size: " + fileSize + " bytes (" + (fileSize/1024).toFixed(1) + " KB)");
+                this.log("Required end address: 0x" + requiredEnd.toString(16).toUpperCase());
+                let flashEnd = this.getFlashEnd();
+                this.log("Flash end address: 0x" + flashEnd.toString(16).toUpperCase());
+                this.log("Will erase from 0x08000000 to 0x" + Math.min(requiredEnd, flashEnd).toString(16).toUpperCase());
+
+                // Only erase required sectors
+                sectorAddresses = [];
+                for (let address = 0x8000000; address < Math.min(requiredEnd, flashEnd); address += this.getSectorSize(address)) {
+                    sectorAddresses.push(address);
+                }
             }
-            requiredEnd = currentSector;
 
-            console.log("File size: " + fileSize + " bytes (" + (fileSize/1024).toFixed(1) + " KB)");
-            console.log("Required end address: 0x" + requiredEnd.toString(16).toUpperCase());
-            console.log("Flash end address: 0x" + this.flashEnd.toString(16).toUpperCase());
-            console.log("Will erase from 0x08000000 to 0x" + Math.min(requiredEnd, this.flashEnd).toString(16).toUpperCase());
+            // Progress counts the bytes of flash erased
+            let totalBytes = sectorAddresses.reduce((total, address) =>
+                total + this.getSectorSize(address), 0);
+            let bytesDone = 0;
+            this.progress(0, totalBytes);
+
+            // Erase each sector in turn
+            for (let sector = 0; sector < sectorAddresses.length; sector++) {
 
-            // Only erase required sectors
-            for (let address = 0x8000000; address < Math.min(requiredEnd, this.flashEnd); address += this.getSectorSize(address)) {
+                // Stop here if the user has cancelled
+                signal?.throwIfAborted();
 
+                let address = sectorAddresses[sector];
                 let sectorSize = this.getSectorSize(address);
 
+                // From here on the flash no longer holds what it did
+                this.flashTouched = true;
+
                 // Print the erase operation to the console
-                console.log("Erasing " + sectorSize + " bytes at 0x0" +
+                this.log("Erasing " + sectorSize + " bytes at 0x0" +
                     address.toString(16).toUpperCase());
 
                 // Array containing the erase command and address to erase (LSB first)
@@ -446,142 +1144,233 @@ let usbDfuDevice = class {
                     (address & 0x000000ff),
                     (address & 0x0000ff00) >> 8,
                     (address & 0x00ff0000) >> 16,
-                    (address & 0xff000000) >> 24
+                    (address & 0xff000000) >>> 24
                 ]);
 
-                // Perform the erase
-                await this.device.controlTransferOut({
-                    requestType: 'class',
-                    recipient: 'interface',
-                    request: this.dfuRequest.DFU_DNLOAD,
-                    value: 0, // wValue Should be 0 for command mode
-                    index: 0
-                }, arr); // Holds the erase instruction and address location
-
-                // Issue a get status to apply the operation
-                await this.getStatus();
-
-                // Check again if it was successful
-                await this.getStatus();
+                // Context for any error
+                let context = { request: "DFU_DNLOAD", block: sector, address: address };
+
+                // Erase the sector, retrying if needed. Erase commands carry
+                // their own address, so there is nothing to restore between
+                // attempts
+                await this.retryBlock(context, signal, async () => {
+
+                    // Perform the erase
+                    let result = await this.device.controlTransferOut({
+                        requestType: 'class',
+                        recipient: 'interface',
+                        request: this.dfuRequest.DFU_DNLOAD,
+                        value: 0, // wValue Should be 0 for command mode
+                        index: 0
+                    }, arr); // Holds the erase instruction and address location
+                    this.checkTransfer(result, context);
+
+                    // Issue a get status to apply the operation
+                    await this.getStatus(context);
+
+                    // Check again if it was successful
+                    await this.getStatus(context);
+                });
 
-                // Work out the percentage done
-                let done = (100 / (requiredEnd - 0x8000000)) * (address - 0x8000000);
-                
-                // Update the progress bar
-                dfuProgressHandler(done);
+                // Update the progress
+                bytesDone += sectorSize;
+                this.progress(bytesDone, totalBytes);
             }
         }
 
         // Catch errors
         catch (error) {
 
+            // If cancelled, leave the DFU engine idle rather than mid-erase
+            if (signal?.aborted) {
+                await this.resetState();
+            }
+
             // Return the error
             return Promise.reject(error);
         }
     }
 
-    // Function to program the device
-    async program(fileArr) {
-
-        // Clear the progress bar
-        dfuProgressHandler(0);
+    // Function to program the device. If signal is aborted, stops at the next
+    // block boundary. Writes the whole file, unless given just the ranges of it
+    // to write, as { offset, size } from the start of flash
+    async program(fileArr, signal, ranges = null) {
 
         // Attempt to program
         try {
 
-            // Set the address pointer to 0x08000000 (The start of the flash)
-            await this.device.controlTransferOut({
-                requestType: 'class',
-                recipient: 'interface',
-                request: this.dfuRequest.DFU_DNLOAD,
-                value: 0, // wValue Should be 0 for command mode
-                index: 0
-            }, new Uint8Array([0x21, 0x00, 0x00, 0x00, 0x08]));
-
-            // Issue a get status to apply the operation
-            await this.getStatus();
-
-            // Check again if it was successful
-            await this.getStatus();
-
-            // Calculate the total blocks to flash. A block can be up to 2048 bytes
-            let totalBlocks = Math.ceil(fileArr.byteLength / 2048);
+            // A block can be up to the device's transfer size
+            let blockSize = this.transferSize;
 
-            // If the the total blocks is bigger than the flash size, throw an error
-            if ((totalBlocks * 2048) > (this.flashEnd - 0x08000000)) {
+            // If the file is bigger than the flash size, throw an error
+            if ((Math.ceil(fileArr.byteLength / blockSize) * blockSize) > (this.getFlashEnd() - 0x08000000)) {
                 throw ("Error: File size is bigger than flash size");
             }
 
-            // For every block
-            for (let block = 0; block < totalBlocks; block++) {
-
-                // Log the current block info to the console
-                console.log("Programming block " + (block + 1) + " of " + totalBlocks);
-
-                // Calculate the data offset and bounds based on the current block
-                let dataStart = block * 2048;
-                let dataEnd = dataStart + 2048;
-
-                // Create 2048 sized data buffer to send
-                let blockData = new Uint8Array(2048);
-
-                // Copy data from the file to the dat buffer
-                blockData.set(new Uint8Array(fileArr.slice(dataStart, dataEnd)));
-
-                // Write block by block 
-                await this.device.controlTransferOut({
-                    requestType: 'class',
-                    recipient: 'interface',
-                    request: this.dfuRequest.DFU_DNLOAD,
-                    value: 2 + block, // wValue should be the block number + 2 
-                    index: 0
-                }, blockData); // 2048 byte block of data to program
-
-                // Issue a get status to apply the operation
-                await this.getStatus();
-
-                // Check again if it was successful
-                await this.getStatus();
-
-                // Work out the percentage done
-                let done = (100 / totalBlocks) * block;
-
-                // Update the progress bar
-                dfuProgressHandler(done);
+            // By default, one range: the whole file
+            if (ranges === null) {
+                ranges = [{ offset: 0, size: fileArr.byteLength }];
             }
 
-            // Done. Set the progress bar to 100%
-            dfuProgressHandler(100);
+            // Calculate the total blocks to flash, and the bytes they carry,
+            // for progress
+            let totalBlocks = ranges.reduce((total, range) =>
+                total + Math.ceil(Math.min(range.size, fileArr.byteLength - range.offset) / blockSize), 0);
+            let totalBytes = ranges.reduce((total, range) =>
+                total + Math.max(0, Math.min(range.size, fileArr.byteLength - range.offset)), 0);
+            let blocksDone = 0;
+            let bytesDone = 0;
+            this.progress(0, totalBytes);
+
+            // For every range
+            for (let range of ranges) {
+
+                // Set the address pointer to the start of the range. Block
+                // numbers are relative to it
+                let rangeAddress = 0x08000000 + range.offset;
+                await this.setAddressPointer(rangeAddress);
+
+                // The file may end part way through the range
+                let rangeEnd = Math.min(range.offset + range.size, fileArr.byteLength);
+                let rangeBlocks = Math.ceil((rangeEnd - range.offset) / blockSize);
+
+                // For every block
+                for (let block = 0; block < rangeBlocks; block++) {
+
+                    // Stop here if the user has cancelled
+                    signal?.throwIfAborted();
+
+                    // Log the current block info to the console
+                    this.log("Programming block " + (blocksDone + 1) + " of " + totalBlocks);
+
+                    // Calculate the data offset and bounds based on the current block
+                    let dataStart = range.offset + block * blockSize;
+                    let dataEnd = Math.min(dataStart + blockSize, rangeEnd);
+
+                    // Create block sized data buffer to send
+                    let blockData = new Uint8Array(blockSize);
+
+                    // Copy data from the file to the dat buffer
+                    blockData.set(new Uint8Array(fileArr.slice(dataStart, dataEnd)));
+
+                    // Context for any error
+                    let context = { request: "DFU_DNLOAD", block: block, address: 0x08000000 + dataStart };
+
+                    // Write the block, retrying if needed. A retry starts from
+                    // dfuIDLE, so the address pointer is set again first - block
+                    // numbers are relative to it
+                    await this.retryBlock(context, signal, async () => {
+
+                        // Write block by block 
+                        let result = await this.device.controlTransferOut({
+                            requestType: 'class',
+                            recipient: 'interface',
+                            request: this.dfuRequest.DFU_DNLOAD,
+                            value: 2 + block, // wValue should be the block number + 2 
+                            index: 0
+                        }, blockData); // One block of data to program
+                        this.checkTransfer(result, context);
+
+                        // Issue a get status to apply the operation
+                        await this.getStatus(context);
+
+                        // Check again if it was successful
+                        await this.getStatus(context);
+                    }, () => this.setAddressPointer(rangeAddress));
+
+                    // Update the progress
+                    blocksDone++;
+                    bytesDone += dataEnd - dataStart;
+                    this.progress(bytesDone, totalBytes);
+                }
+            }
         }
 
         // Catch errors
         catch (error) {
 
+            // If cancelled, leave the DFU engine idle rather than mid-download
+            if (signal?.aborted) {
+                await this.resetState();
+            }
+
             // Return the error
             return Promise.reject(error);
         }
     }
 
-    // Sequence to exit DFU mode, and start the application
-    async detach() {
+    // Returns the DFU engine to a known state: abort whatever transfer was in
+    // progress, then clear any error status it left behind. Used after a
+    // cancelled operation, and between attempts at a failed block. Best effort
+    // only - either step may legitimately stall depending on the state the
+    // device was left in, so failures are just noted
+    async resetState() {
+
+        // Log info to console
+        this.log("Resetting DFU state");
+
+        // Abort returns the state machine to dfuIDLE (it stalls in dfuERROR,
+        // which the clear below deals with)
+        try {
+            await this.device.controlTransferOut({
+                requestType: 'class',
+                recipient: 'interface',
+                request: this.dfuRequest.DFU_ABORT,
+                value: 0,
+                index: 0
+            }, undefined);
+        } catch (error) {
+            this.log("DFU abort did not complete: " + error);
+        }
+
+        // Clear any error status left by the interrupted operation
+        try {
+            await this.clearStatus();
+        } catch (error) {
+            this.log("DFU clear status did not complete: " + error);
+        }
+    }
+
+    // Sequence to exit DFU mode, and start the application. This is the DfuSe
+    // "leave": point at the application, download zero bytes as a data block
+    // (wValue 2 - wValue 0 would be an empty command), then GETSTATUS moves the
+    // device into manifest, after which it resets into the application.
+    //
+    // The device may drop off the bus before that GETSTATUS completes, so an
+    // error from it means the device has left, not that leaving failed. Either
+    // way the device is gone afterwards: it cannot be reached again until it
+    // next enters the bootloader.
+    async detach(address = 0x08000000) {
 
         // Attempt to detach
         try {
 
             // Log info to console
-            console.log("Starting application");
+            this.log("Starting application");
+
+            // Make sure the DFU engine is idle
+            await this.resetState();
+
+            // Point at the application to run
+            await this.setAddressPointer(address);
 
             // Next download 0 bytes to the device
-            await this.device.controlTransferOut({
+            let context = { request: "DFU_DNLOAD", address: address };
+            let result = await this.device.controlTransferOut({
                 requestType: 'class',
                 recipient: 'interface',
                 request: this.dfuRequest.DFU_DNLOAD,
-                value: 0, // Write 0 bytes
+                value: 2, // A data block, of 0 bytes
                 index: 0
-            }, undefined)
+            }, new Uint8Array(0));
+            this.checkTransfer(result, context);
 
             // Finally read the status to trigger a reset
-            await this.getStatus();
+            try {
+                await this.getStatus(context);
+            } catch (error) {
+                this.log("Device left during manifest: " + error);
+            }
         }
 
         // Catch errors
@@ -601,20 +1390,31 @@ let usbDfuDevice = class {
             // and the device is still open
             if (this.device.opened) {
 
-                // Close the USB device
-                await this.device.close();
+                // Close the USB device. After detach() it may already have
+                // left the bus, in which case there is nothing to close
+                try {
+                    await this.device.close();
+                } catch (error) {
+                    this.log("Couldn't close device: " + error);
+                }
             }
         }
 
         // Null the device object
         this.device = null;
 
-        // Call the user disconnect handler to clean up the UI
-        dfuDisconnectHandler();
+        // Let the UI clean up
+        this.dispatchEvent(new CustomEvent("disconnected"));
     }
 
-    // Executes the full DFU sequence. 
-    async runUpdateSequence(fileArr, mcuType) {
+    // Executes the full DFU sequence. If signal is aborted, the sequence stops
+    // at the next block boundary. flashTouched then says whether the flash had
+    // already been changed. sectors, if given, limits erasing and writing to
+    // just those sectors, as { offset, size } from the start of flash
+    async runUpdateSequence(fileArr, mcuType, signal, sectors = null) {
+
+        // Nothing has been erased or written yet
+        this.flashTouched = false;
 
         // Attempt the sequence
         try {
@@ -623,34 +1423,32 @@ let usbDfuDevice = class {
             await this.setFlashSize(mcuType);
 
             // Update the state
-            dfuStatusHandler("Connecting");
+            this.phase("Connecting");
 
-            // Connect
-            await this.connect();
+            // Connect - to the device already chosen, if there is one. With
+            // several Ices attached, connect() would take whichever is listed
+            // first, and that need not be the board just read or checked
+            if (this.device) {
+                await this.connectWithDevice(this.device);
+            } else {
+                await this.connect();
+            }
 
             // Update the state
-            dfuStatusHandler("Erasing");
+            this.phase("Erasing");
 
             // Erase the chip
-            await this.erase(fileArr.byteLength);
+            await this.erase(fileArr.byteLength, signal,
+                sectors && sectors.map(sector => 0x08000000 + sector.offset));
 
             // Update the state
-            dfuStatusHandler("Programming");
+            this.phase("Programming");
 
             // Program the chip with the binary array
-            await this.program(fileArr);
-
-            // Update the state
-            // dfuStatusHandler("Done");
+            await this.program(fileArr, signal, sectors);
 
-            // Detach the device
-            // await this.detach();
-
-            // Update the state
-            // dfuStatusHandler("Disconnecting");
-
-            // Disconnect
-            // await this.disconnect();
+            // Stay in DFU mode: the image is verified next, and then it is up
+            // to the caller whether to detach() and run it
 
             // Return success
             return Promise.resolve("Update Complete");
@@ -659,37 +1457,27 @@ let usbDfuDevice = class {
         // Catch errors
         catch (error) {
 
-            // Always disconnect on error
-            this.disconnect();
+            // Always disconnect on error. Waited for, so that anyone
+            // listening for "disconnected" has caught up by the time the
+            // error reaches the caller
+            await this.disconnect();
 
             // Return the error
             return Promise.reject(error);
         }
     }
 
-    // Function to read firmware from the device
-    async upload(length) {
+    // Function to read firmware from the device. If signal is aborted, stops at
+    // the next block boundary. Reads from the start of flash unless given
+    // another address
+    async upload(length, signal, address = 0x08000000) {
 
-        // Clear the progress bar
-        dfuProgressHandler(0);
+        // Helper which gets the device ready to upload block 0 onwards from
+        // the address. Also used to recover before retrying a block
+        let startUpload = async () => {
 
-        // Attempt to upload
-        try {
-
-            // Set the address pointer to 0x08000000 (The start of the flash)
-            await this.device.controlTransferOut({
-                requestType: 'class',
-                recipient: 'interface',
-                request: this.dfuRequest.DFU_DNLOAD,
-                value: 0, // wValue Should be 0 for command mode
-                index: 0
-            }, new Uint8Array([0x21, 0x00, 0x00, 0x00, 0x08]));
-
-            // Issue a get status to apply the operation
-            await this.getStatus();
-
-            // Check again if it was successful
-            await this.getStatus();
+            // Set the address pointer to where to read from
+            await this.setAddressPointer(address);
 
             // Abort to return to dfuIDLE state before upload
             await this.device.controlTransferOut({
@@ -699,44 +1487,76 @@ let usbDfuDevice = class {
                 value: 0,
                 index: 0
             }, undefined);
+        };
+
+        // Attempt to upload
+        try {
+
+            // Get ready to read from the address
+            await startUpload();
 
-            // Calculate the total blocks to read. A block can be up to 2048 bytes
-            let totalBlocks = Math.ceil(length / 2048);
+            // Calculate the total blocks to read. A block can be up to the
+            // device's transfer size
+            let blockSize = this.transferSize;
+            let totalBlocks = Math.ceil(length / blockSize);
 
             // Create buffer to hold the firmware data
             let firmware = new Uint8Array(length);
+            this.progress(0, length);
 
             // For every block
             for (let block = 0; block < totalBlocks; block++) {
 
-                // Log the current block info to the console
-                console.log("Reading block " + (block + 1) + " of " + totalBlocks);
-
-                // Upload the block from the device
-                let result = await this.device.controlTransferIn({
-                    requestType: 'class',
-                    recipient: 'interface',
-                    request: this.dfuRequest.DFU_UPLOAD,
-                    value: 2 + block, // wValue should be the block number + 2
-                    index: 0
-                }, 2048); // Read 2048 bytes
-
-                // Copy the received data into the firmware buffer
-                let blockData = new Uint8Array(result.data.buffer);
-                let offset = block * 2048;
-                firmware.set(blockData, offset);
-
-                // Issue a get status to check the operation
-                await this.getStatus();
+                // Stop here if the user has cancelled
+                signal?.throwIfAborted();
 
-                // Check again if it was successful
-                await this.getStatus();
-
-                // Work out the percentage done
-                let done = (100 / totalBlocks) * (block + 1);
-
-                // Update the progress bar
-                dfuProgressHandler(done);
+                // Log the current block info to the console
+                this.log("Reading block " + (block + 1) + " of " + totalBlocks);
+
+                // Ask for a whole block after the first: DfuSe works out the
+                // address as (wValue - 2) * wLength from the pointer, so a
+                // shorter final request would read from somewhere else. Only
+                // the first block is at the pointer whatever its length, which
+                // lets a small read - a register, the option bytes - ask for
+                // just what it wants. Only what is wanted is kept, so that a
+                // length which is not a multiple of the block size (a verify
+                // read-back of an arbitrary image) does not overrun the buffer
+                let offset = block * blockSize;
+                let blockLength = Math.min(blockSize, length - offset);
+                let requestLength = block === 0 ? blockLength : blockSize;
+
+                // Context for any error
+                let context = { request: "DFU_UPLOAD", block: block, address: address + offset };
+
+                // Read the block, retrying if needed
+                await this.retryBlock(context, signal, async () => {
+
+                    // Upload the block from the device
+                    let result = await this.device.controlTransferIn({
+                        requestType: 'class',
+                        recipient: 'interface',
+                        request: this.dfuRequest.DFU_UPLOAD,
+                        value: 2 + block, // wValue should be the block number + 2
+                        index: 0
+                    }, requestLength); // Read one block
+                    this.checkTransfer(result, context);
+
+                    // Copy the wanted part of the received data into the
+                    // firmware buffer
+                    let blockData = new Uint8Array(result.data.buffer,
+                        result.data.byteOffset,
+                        Math.min(result.data.byteLength, blockLength));
+                    firmware.set(blockData, offset);
+
+                    // Issue a get status to check the operation
+                    await this.getStatus(context);
+
+                    // Check again if it was successful
+                    await this.getStatus(context);
+                }, startUpload);
+
+                // Update the progress
+                this.progress(offset + blockLength, length);
             }
 
             // Issue abort command to return to dfuIDLE
@@ -758,8 +1578,12 @@ let usbDfuDevice = class {
         // Catch errors
         catch (error) {
 
+            // Leave the DFU engine idle rather than mid-upload, or in the
+            // error state a refused address leaves it in
+            await this.resetState();
+
             // Log the error
-            console.error("Upload failed: " + error);
+            this.log("Upload failed: " + error, "error");
 
             // Return the error
             return Promise.reject(error);
@@ -0,0 +1,55 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// firmwareFormats.js against the files in fixtures/, each written by tooling
+// independent of it - see fixtures/README.md.
+//
+// Run from the repository root, on Node 20 or later:
+//
+//     node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+register('./siteRoot.mjs', import.meta.url);
+const { toFlatImage, STM32_FLASH_BASE, RP2350_FLASH_BASE } =
+    await import('/js/prog/firmwareFormats.js');
+
+function fixture(name) {
+    const bytes = readFileSync(new URL('fixtures/' + name, import.meta.url));
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+const CONVERSIONS = [
+    { file: 'ice.elf', format: 'elf', base: STM32_FLASH_BASE, flat: 'ice.bin' },
+    { file: 'ice.hex', format: 'hex', base: STM32_FLASH_BASE, flat: 'ice.bin' },
+    { file: 'ice.dfu', format: 'dfu', base: STM32_FLASH_BASE, flat: 'ice.bin' },
+    { file: 'fire.uf2', format: 'uf2', base: RP2350_FLASH_BASE, flat: 'fire.bin' },
+    { file: 'fire-e10.uf2', format: 'uf2', base: RP2350_FLASH_BASE, flat: 'fire.bin' }
+];
+
+for (const { file, format, base, flat } of CONVERSIONS) {
+    test(`${file} converts to ${flat}, its gap reported`, () => {
+        const result = toFlatImage(fixture(file));
+        assert.strictEqual(result.format, format);
+        assert.strictEqual(result.base, base);
+        assert.deepStrictEqual(Buffer.from(result.image), Buffer.from(fixture(flat)));
+        assert.deepStrictEqual(result.gaps, [{ start: base + 0x400, end: base + 0x800 }]);
+    });
+}
+
+test('a raw binary passes through, with no base', () => {
+    const bin = fixture('ice.bin');
+    const result = toFlatImage(bin);
+    assert.strictEqual(result.format, 'bin');
+    assert.strictEqual(result.image, bin);
+    assert.strictEqual(result.base, null);
+});
+
+test('a file that does not start at the flash base is refused', () => {
+    assert.throws(() => toFlatImage(fixture('ice-offset.hex')),
+                  /starts at 0x08004000 .*not at the start of the One ROM Ice \(STM32\) flash/);
+});
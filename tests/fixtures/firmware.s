@@ -0,0 +1,11 @@
+    .section .vectors, "a"
+    .long 0x20020000
+    .long 0x08000101
+    .rept 254
+    .long 0xE7FEE7FE
+    .endr
+    .section .config, "a"
+    .ascii "One ROM test fixture"
+    .rept 236
+    .byte 0x5A
+    .endr
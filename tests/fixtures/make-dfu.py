@@ -0,0 +1,12 @@
+# ice.dfu from ice.bin's two data ranges, laid out as ST's UM0391 describes:
+# one target, alternate setting 0, with an element for each range
+import struct, zlib
+
+data = open('ice.bin', 'rb').read()
+elements = b''.join(struct.pack('<II', 0x08000000 + start, end - start) + data[start:end]
+                    for start, end in [(0, 0x400), (0x800, 0x900)])
+target = (b'Target' + struct.pack('<BI', 0, 1) + b'Internal Flash'.ljust(255, b'\0') +
+          struct.pack('<II', len(elements), 2) + elements)
+body = b'DfuSe' + struct.pack('<BIB', 1, 11 + len(target), 1) + target
+body += struct.pack('<HHHH', 0xFFFF, 0xDF11, 0x0483, 0x011A) + b'UFD' + bytes([16])
+open('ice.dfu', 'wb').write(body + struct.pack('<I', ~zlib.crc32(body) & 0xFFFFFFFF))
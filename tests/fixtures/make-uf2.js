@@ -0,0 +1,37 @@
+// fire.uf2 from fire.bin's two data ranges, in 256-byte blocks for the RP2350
+// ARM Secure family, as picotool writes them. Needs the uf2 package from npm
+// (npm install uf2@2.0.0).
+//
+// fire-e10.uf2 is the same, led by the block picotool adds for RP2350 erratum
+// E10: 256 bytes of 0xEF at 0x10FFFF00, for the absolute family, numbered as
+// block 0 of 2 on its own.
+const fs = require('fs');
+const { encodeBlock, UF2Flags } = require('uf2');
+
+const bin = fs.readFileSync('fire.bin');
+const ranges = [[0, 0x400], [0x800, 0x900]];
+const pages = [];
+for (const [start, end] of ranges) {
+    for (let offset = start; offset < end; offset += 256) {
+        pages.push(offset);
+    }
+}
+const blocks = pages.map((offset, i) => Buffer.from(encodeBlock({
+    flags: UF2Flags.familyIDPresent,
+    flashAddress: 0x10000000 + offset,
+    payload: bin.subarray(offset, offset + 256),
+    blockNumber: i,
+    totalBlocks: pages.length,
+    boardFamily: 0xE48BFF59
+})));
+fs.writeFileSync('fire.uf2', Buffer.concat(blocks));
+
+const e10 = Buffer.from(encodeBlock({
+    flags: UF2Flags.familyIDPresent,
+    flashAddress: 0x10FFFF00,
+    payload: Buffer.alloc(256, 0xEF),
+    blockNumber: 0,
+    totalBlocks: 2,
+    boardFamily: 0xE48BFF57
+}));
+fs.writeFileSync('fire-e10.uf2', Buffer.concat([e10, ...blocks]));
@@ -0,0 +1,161 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// A PICOBOOT host, standing in for picoflash's Picoboot in the tests: the page
+// loads that from picoflash.org, and it is not on npm. It has only the calls
+// UnifiedProgrammer makes, and speaks the protocol as the RP2350 datasheet
+// documents it, to whatever USBDevice it is given - a simulated Fire here (see
+// simulatedUsb.js), but nothing in it is particular to the simulation.
+//
+// Loaded into the same context as unifiedProgrammer.js, as the page's script
+// tag would, so that UnifiedProgrammer finds it as Picoboot.
+
+const PICOBOOT_MAGIC = 0x431FD10B;
+const PICOBOOT_CMD = {
+    FLASH_ERASE: 0x03,
+    READ: 0x84,
+    WRITE: 0x05,
+    REBOOT2: 0x0A,
+    OTP_READ: 0x8C,
+    OTP_WRITE: 0x0D
+};
+const PICOBOOT_IF_RESET = 0x41;
+const PICOBOOT_IF_CMD_STATUS = 0x42;
+
+class Picoboot {
+    constructor(device) {
+        this.device = device;
+        this.interfaceNumber = null;
+        this.endpointOut = null;
+        this.endpointIn = null;
+        this.token = 1;
+    }
+
+    static fromDevice(device) {
+        return new Picoboot(device);
+    }
+
+    // Open the device and claim its PICOBOOT interface - the vendor class one,
+    // whichever number it has - then reset it, so no earlier command is left
+    // half done
+    async connect() {
+        await this.device.open();
+        await this.device.selectConfiguration(1);
+        const usbInterface = this.device.configuration.interfaces
+            .find(i => i.alternates[0].interfaceClass === 0xFF);
+        if (!usbInterface) {
+            throw new Error('No PICOBOOT interface');
+        }
+        this.interfaceNumber = usbInterface.interfaceNumber;
+        const endpoints = usbInterface.alternates[0].endpoints;
+        this.endpointOut = endpoints.find(e => e.direction === 'out').endpointNumber;
+        this.endpointIn = endpoints.find(e => e.direction === 'in').endpointNumber;
+        await this.device.claimInterface(this.interfaceNumber);
+        await this._reset();
+    }
+
+    async disconnect() {
+        if (this.device.opened) {
+            await this.device.close();
+        }
+    }
+
+    getUsbDeviceInfo() {
+        const { vendorId, productId, productName, manufacturerName, serialNumber,
+                deviceVersionMajor, deviceVersionMinor, deviceVersionSubminor } = this.device;
+        return { vendorId, productId, productName, manufacturerName, serialNumber,
+                 deviceVersionMajor, deviceVersionMinor, deviceVersionSubminor };
+    }
+
+    async flashRead(address, length) {
+        return this._command(PICOBOOT_CMD.READ, [[address, 4], [length, 4]], { inLength: length });
+    }
+
+    async flashErase(address, size) {
+        await this._command(PICOBOOT_CMD.FLASH_ERASE, [[address, 4], [size, 4]]);
+    }
+
+    async flashWrite(address, data) {
+        await this._command(PICOBOOT_CMD.WRITE, [[address, 4], [data.length, 4]], { out: data });
+    }
+
+    // ecc: 2 bytes a row; raw: 4
+    async otpRead(row, count, ecc) {
+        return this._command(PICOBOOT_CMD.OTP_READ, [[row, 2], [count, 2], [ecc ? 1 : 0, 1]],
+                             { inLength: count * (ecc ? 2 : 4) });
+    }
+
+    async otpWrite(row, data, ecc) {
+        const count = data.length / (ecc ? 2 : 4);
+        await this._command(PICOBOOT_CMD.OTP_WRITE, [[row, 2], [count, 2], [ecc ? 1 : 0, 1]],
+                            { out: data });
+    }
+
+    async rebootRp2350(flags, param0, param1, delayMs) {
+        await this._command(PICOBOOT_CMD.REBOOT2,
+                            [[flags, 4], [delayMs, 4], [param0, 4], [param1, 4]]);
+    }
+
+    async _reset() {
+        await this.device.controlTransferOut({
+            requestType: 'vendor', recipient: 'interface',
+            request: PICOBOOT_IF_RESET, value: 0, index: this.interfaceNumber
+        });
+    }
+
+    // One command: the 32-byte packet, its data phase in whichever direction,
+    // then the zero-length acknowledgement the other way. args are [value,
+    // size] pairs, packed from byte 16. A stall is turned into an error
+    // naming the device's status, and the interface reset.
+    async _command(id, args, { out = null, inLength = 0 } = {}) {
+        const packet = new Uint8Array(32);
+        const view = new DataView(packet.buffer);
+        view.setUint32(0, PICOBOOT_MAGIC, true);
+        view.setUint32(4, this.token++, true);
+        packet[8] = id;
+        let offset = 16;
+        for (const [value, size] of args) {
+            if (size === 4) view.setUint32(offset, value >>> 0, true);
+            else if (size === 2) view.setUint16(offset, value, true);
+            else view.setUint8(offset, value);
+            packet[9] += size;
+            offset += size;
+        }
+        view.setUint32(12, out ? out.length : inLength, true);
+
+        await this._check(await this.device.transferOut(this.endpointOut, packet));
+        if (id & 0x80) {
+            const data = new Uint8Array(inLength);
+            for (let received = 0; received < inLength;) {
+                const result = await this._check(
+                    await this.device.transferIn(this.endpointIn, inLength - received));
+                const chunk = new Uint8Array(result.data.buffer, result.data.byteOffset,
+                                             result.data.byteLength);
+                data.set(chunk, received);
+                received += chunk.length;
+            }
+            await this._check(await this.device.transferOut(this.endpointOut, new Uint8Array(0)));
+            return data;
+        }
+        if (out) {
+            await this._check(await this.device.transferOut(this.endpointOut, out));
+        }
+        await this._check(await this.device.transferIn(this.endpointIn, 0));
+        return null;
+    }
+
+    async _check(result) {
+        if (result.status === 'ok') {
+            return result;
+        }
+        const status = await this.device.controlTransferIn({
+            requestType: 'vendor', recipient: 'interface',
+            request: PICOBOOT_IF_CMD_STATUS, value: 0, index: this.interfaceNumber
+        }, 16);
+        await this._reset();
+        await this.device.clearHalt('in', this.endpointIn);
+        await this.device.clearHalt('out', this.endpointOut);
+        throw new Error('PICOBOOT command failed, status ' + status.data.getUint32(4, true));
+    }
+}
@@ -0,0 +1,16 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// Module resolve hook, for tests importing the site's ES modules: resolves
+// site-absolute specifiers (/js/prog/firmwareFormats.js) from the repository root, as
+// the web server does. Registered with module.register().
+
+const SITE_ROOT = new URL('../', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('/')) {
+        return nextResolve(new URL('.' + specifier, SITE_ROOT).href, context);
+    }
+    return nextResolve(specifier, context);
+}
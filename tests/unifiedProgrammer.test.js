@@ -0,0 +1,169 @@
+// Copyright (C) 2026 Piers Finlayson <piers@piers.rocks>
+//
+// MIT License
+
+// UnifiedProgrammer against a simulated Ice and Fire (see simulatedUsb.js),
+// with no browser: the classic scripts are run as the page would run them, in
+// a context holding the little of window they touch.
+//
+// Run from the repository root, on Node 20 or later:
+//
+//     node --test tests/
+//
+// Fire's transport, picoflash's Picoboot, is loaded by the page from
+// picoflash.org; picobootClient.js stands in for it.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = ['js/prog/simulatedUsb.js', 'tests/picobootClient.js',
+                 'js/prog/usbDfuDevice.js', 'js/prog/unifiedProgrammer.js'];
+
+// A UnifiedProgrammer with the simulated boards named attached, as the page
+// gets from ?simulate=, and the SimulatedUsb holding them
+function createProgrammer(simulate) {
+    const quiet = { log() {}, info() {}, warn() {}, error() {} };
+    const context = {
+        console: quiet, location: { search: '?simulate=' + simulate }, navigator: {},
+        document: { addEventListener() {} },
+        setTimeout, clearTimeout, EventTarget, Event, CustomEvent, DOMException,
+        URLSearchParams, TextEncoder, TextDecoder
+    };
+    context.window = context;
+    vm.createContext(context);
+    for (const script of SCRIPTS) {
+        const source = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(source, context, { filename: path.basename(script) });
+    }
+    return { programmer: vm.runInContext('new UnifiedProgrammer()', context), usb: context.simulatedUsb };
+}
+
+test('an Ice image is read back whole, up to its real flash size', async () => {
+    // The F401RB's bootloader claims 256KB; it has 128KB
+    const { programmer } = createProgrammer('ice:F401RB');
+    await programmer.connect(true);
+    try {
+        assert.strictEqual(programmer.getMaxImageSize(), 128 * 1024);
+
+        const image = new Uint8Array(80 * 1024).map((_, i) => (i * 7) & 0xFF);
+        await programmer.runUpdateSequence(image.buffer, 'F401RB');
+
+        const read = await programmer.upload(programmer.getMaxImageSize());
+        assert.strictEqual(read.length, 128 * 1024);
+        assert.ok(Buffer.from(read.subarray(0, image.length)).equals(image));
+        assert.ok(read.subarray(image.length).every(byte => byte === 0xFF));
+    } finally {
+        await programmer.disconnect();
+    }
+});
+
+test('a board identity is not written unless the board name is confirmed', async () => {
+    const { programmer } = createProgrammer('ice');
+    for (const options of [undefined, {}, { confirmation: 'fire-28-a' }]) {
+        await assert.rejects(programmer.writeBoardIdentity('fire-28-c', options),
+                             /not confirmed/);
+        assert.strictEqual(programmer.isConnected(), false);
+    }
+
+    // Confirmed, it goes on to the device - which, being an Ice, has no OTP
+    await assert.rejects(programmer.writeBoardIdentity('fire-28-c', { confirmation: 'fire-28-c' }),
+                         /Only Fire has OTP/);
+    assert.deepStrictEqual({ ...programmer.getOtpSupport() }, { read: false, write: false });
+    await programmer.disconnect();
+});
+
+test('with two Ices attached, the chosen one is the one programmed', async () => {
+    const { programmer, usb } = createProgrammer('ice,ice');
+    const [first, second] = usb.boards;
+    const image = new Uint8Array(20 * 1024).map((_, i) => (i * 13) & 0xFF);
+
+    for (const differential of [false, true]) {
+        second.flash.fill(0xFF);
+        await programmer.selectDevice(second.device);
+        await programmer.connect();
+        try {
+            await programmer.runUpdateSequence(image.buffer, 'F411RE', { differential });
+        } finally {
+            await programmer.disconnect();
+        }
+
+        assert.ok(Buffer.from(second.flash.subarray(0, image.length)).equals(image));
+        assert.ok(first.flash.every(byte => byte === 0xFF));
+    }
+});
+
+test('a Fire image is read back whole, up to the 2MB taken as its largest', async () => {
+    const { programmer, usb } = createProgrammer('fire');
+    await programmer.connect(true);
+    try {
+        assert.strictEqual(programmer.getMaxImageSize(), 2 * 1024 * 1024);
+
+        const image = new Uint8Array(80 * 1024).map((_, i) => (i * 7) & 0xFF);
+        await programmer.runUpdateSequence(image.buffer, 'RP2350');
+        assert.ok(Buffer.from(usb.boards[0].flash.subarray(0, image.length)).equals(image));
+
+        const read = await programmer.upload(programmer.getMaxImageSize());
+        assert.strictEqual(read.length, 2 * 1024 * 1024);
+        assert.ok(Buffer.from(read.subarray(0, image.length)).equals(image));
+        assert.ok(read.subarray(image.length).every(byte => byte === 0xFF));
+    } finally {
+        await programmer.disconnect();
+    }
+});
+
+test('a Fire is erased in whole 4KB sectors', async () => {
+    const { programmer, usb } = createProgrammer('fire');
+    const { flash } = usb.boards[0];
+    flash.fill(0x5A, 0, 64 * 1024);
+
+    await programmer.connect(true);
+    try {
+        await programmer.erase(8 * 1024 + 1);
+    } finally {
+        await programmer.disconnect();
+    }
+
+    assert.ok(flash.subarray(0, 12 * 1024).every(byte => byte === 0xFF));
+    assert.ok(flash.subarray(12 * 1024, 64 * 1024).every(byte => byte === 0x5A));
+});
+
+test("a Fire's chip ID is read from OTP", async () => {
+    const { programmer, usb } = createProgrammer('fire-running');
+    await programmer.connect(true);
+    try {
+        assert.deepStrictEqual({ ...programmer.getOtpSupport() }, { read: true, write: true });
+        assert.strictEqual(await programmer.readChipId(), usb.boards[0].serialNumber);
+    } finally {
+        await programmer.disconnect();
+    }
+});
+
+test("a board identity is written to a Fire's OTP once, and read back", async () => {
+    // Not while it is running
+    const running = createProgrammer('fire-running');
+    await running.programmer.connect(true);
+    try {
+        await assert.rejects(running.programmer.writeBoardIdentity('fire-28-c', { confirmation: 'fire-28-c' }),
+                             /must be stopped/);
+        assert.ok(running.usb.boards[0].otp.subarray(4).every(row => row === 0));
+    } finally {
+        await running.programmer.disconnect();
+    }
+
+    const { programmer } = createProgrammer('fire');
+    await programmer.connect(true);
+    try {
+        assert.strictEqual(await programmer.readBoardIdentity(), null);
+        await programmer.writeBoardIdentity('fire-28-c', { confirmation: 'fire-28-c' });
+        assert.deepStrictEqual({ ...await programmer.readBoardIdentity() }, { board: 'fire-28-c' });
+
+        await assert.rejects(programmer.writeBoardIdentity('fire-24-a', { confirmation: 'fire-24-a' }),
+                             /already has an identity/);
+        assert.deepStrictEqual({ ...await programmer.readBoardIdentity() }, { board: 'fire-28-c' });
+    } finally {
+        await programmer.disconnect();
+    }
+});